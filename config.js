@@ -57,6 +57,12 @@ const config = {
     helmet: {
       crossOriginEmbedderPolicy: false,
       contentSecurityPolicy: false
+    },
+    // ADMIN_API_KEY always authenticates as admin, so the first stored keys can be created
+    auth: {
+      adminApiKey: process.env.ADMIN_API_KEY || '',
+      jwtSecret: process.env.AUTH_JWT_SECRET || '',
+      tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || '3600')
     }
   },
 
@@ -73,15 +79,63 @@ const config = {
     }
   },
 
+  // Image Storage Configuration
+  // New images are written to the images backend; 'database' keeps them in generated_content BLOBs.
+  // Stored images remember their backend, so changing this only affects new images until
+  // `npm run migrate -- images` moves the existing ones.
+  storage: {
+    images: process.env.IMAGE_STORAGE || 'database',
+    backends: {
+      local: {
+        type: 'local',
+        path: process.env.IMAGE_STORAGE_PATH || './data/images'
+      },
+      s3: {
+        type: 's3',
+        endpoint: process.env.S3_ENDPOINT || '',
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET || '',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      }
+    }
+  },
+
   // AI Service Configuration
   ai: {
-    openai: {
-      apiKey: process.env.OPENAI_API_KEY || '',
-      baseUrl: 'https://api.openai.com/v1'
+    // Provider types: openai, openai-compatible (Ollama, llama.cpp, LocalAI), fixture and mock (offline)
+    providers: {
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+      },
+      local: {
+        type: 'openai-compatible',
+        apiKey: process.env.LOCAL_AI_API_KEY || '',
+        baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1'
+      },
+      fixture: {
+        type: 'fixture',
+        path: process.env.AI_FIXTURES_PATH || './data/ai-fixtures.json',
+        imagePath: process.env.AI_FIXTURE_IMAGE_PATH || ''
+      },
+      mock: {
+        type: 'mock',
+        seed: process.env.AI_MOCK_SEED || 'specgen'
+      }
     },
+    // Each model names the provider that serves it; AI_PROVIDER sets both at once
     models: {
-      fiction: 'gpt-4o-mini',
-      image: 'dall-e-3'
+      fiction: {
+        provider: process.env.AI_FICTION_PROVIDER || process.env.AI_PROVIDER || 'openai',
+        model: process.env.AI_FICTION_MODEL || 'gpt-4o-mini'
+      },
+      image: {
+        provider: process.env.AI_IMAGE_PROVIDER || process.env.AI_PROVIDER || 'openai',
+        model: process.env.AI_IMAGE_MODEL || 'dall-e-3'
+      }
     },
     parameters: {
       fiction: {
@@ -114,6 +168,40 @@ Avoid using complex academic words or foreign concepts. Write like you're tellin
     }
   },
 
+  // Generation Job Configuration
+  jobs: {
+    concurrency: parseInt(process.env.GENERATION_JOB_CONCURRENCY || '1')
+  },
+
+  // Generation Quota Configuration
+  // A session's max_generations_per_session count starts over sessionTtlSeconds after it began
+  quotas: {
+    sessionTtlSeconds: parseInt(process.env.GENERATION_SESSION_TTL || '86400')
+  },
+
+  // Maintenance Mode Configuration
+  // The maintenance_mode setting is re-read at most once per cacheTtlMs
+  maintenance: {
+    cacheTtlMs: parseInt(process.env.MAINTENANCE_CACHE_TTL_MS || '5000'),
+    retryAfterSeconds: parseInt(process.env.MAINTENANCE_RETRY_AFTER || '300'),
+    message: process.env.MAINTENANCE_MESSAGE || 'SpecGen is down for maintenance, please try again later'
+  },
+
+  // Image Rendition Configuration
+  // Width and height are capped at the size of stored originals; renditions are never enlarged.
+  // Requested sizes are rounded up to the next of sizes, so only a fixed set of renditions is ever rendered.
+  images: {
+    renditions: {
+      maxDimension: 1024,
+      sizes: [64, 100, 150, 200, 320, 480, 640, 800, 1024],
+      formats: ['avif', 'webp', 'jpeg', 'png'],
+      quality: { avif: 50, webp: 80, jpeg: 82 },
+      maxPerImage: 20
+    },
+    // Collection covers tile the thumbnails of the first members, two per row
+    collectionCover: { tiles: 4, tileSize: 150 }
+  },
+
   // Business Logic Configuration
   business: {
     years: { min: 1900, max: 3000 },
@@ -146,7 +234,8 @@ Avoid using complex academic words or foreign concepts. Write like you're tellin
   features: {
     enableMetrics: false,
     enableCache: false,
-    enableRateLimit: true
+    enableRateLimit: true,
+    enableAuth: process.env.ENABLE_AUTH !== 'false'
   },
 
   // Validation Configuration
@@ -156,9 +245,14 @@ Avoid using complex academic words or foreign concepts. Write like you're tellin
     maxTitleLength: 200,
     maxContentLength: 50000,
     maxPromptLength: 1000,
+    maxTemplateLength: 10000,
+    storyLengthRange: { min: 50, max: 5000 },
     maxParametersPerRequest: 50,
     maxSettingsKeys: 100,
     maxPageSize: 100,
+    maxSearchQueryLength: 200,
+    maxSessionIdLength: 128,
+    maxCollectionItems: 200,
     defaultPageSize: 20,
     yearRange: { min: 1900, max: 3000 }
   }
@@ -174,8 +268,14 @@ if (env === 'production') {
 
 if (env === 'test') {
   config.logging.level = 'error';
-  config.ai.openai.apiKey = 'test-key';
+  config.ai.providers.openai.apiKey = 'test-key';
+  // Tests run against the offline mock provider unless another is chosen explicitly
+  config.ai.models.fiction.provider = process.env.AI_FICTION_PROVIDER || process.env.AI_PROVIDER || 'mock';
+  config.ai.models.image.provider = process.env.AI_IMAGE_PROVIDER || process.env.AI_PROVIDER || 'mock';
   config.features.enableRateLimit = false;
+  config.features.enableAuth = false;
+  config.storage.images = 'database';
+  config.storage.backends.local.path = './data/test-images';
 }
 
 /**
@@ -225,18 +325,31 @@ export default {
   },
 
   getAIConfig(type = 'fiction') {
-    const modelName = config.ai.models[type];
+    const { provider, model } = config.ai.models[type];
     const parameters = config.ai.parameters[type];
-    const openai = config.ai.openai;
+    if (!config.ai.providers[provider]) {
+      throw new Error(`AI provider "${provider}" for ${type} is not defined in ai.providers`);
+    }
     
     return {
-      model: modelName,
+      model,
       parameters,
-      apiKey: openai.apiKey,
-      baseUrl: openai.baseUrl
+      provider,
+      providerConfig: { name: provider, ...config.ai.providers[provider] }
     };
   },
 
+  /**
+   * Settings of a named image storage backend, or null for 'database'
+   */
+  getStorageConfig(name = config.storage.images) {
+    if (name === 'database') return null;
+    if (!config.storage.backends[name]) {
+      throw new Error(`Image storage "${name}" is not defined in storage.backends`);
+    }
+    return { name, ...config.storage.backends[name] };
+  },
+
   getPaginationConfig() {
     return config.business.pagination;
   },
@@ -0,0 +1,486 @@
+/**
+ * Story Exporters for SpecGen Server
+ * Turn a saved story or a collection of stories into a downloadable document
+ *
+ * Every exporter takes a story - { id, title, fiction_content, year, created_at, categories,
+ * parameters, image } where image is { buffer, format, url } or null - and returns a Buffer.
+ * Collection exporters take { id, name, description, created_at, updated_at, cover, stories }.
+ * Stories may start with a **Title:** marker; it is dropped from the body, the title is shown once.
+ */
+
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  epub: { contentType: 'application/epub+zip', extension: 'epub' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const TITLE_MARKER = /^\s*\*\*Title:\s*([^*\n]*)\*\*([^\n]*)\n?/;
+
+/**
+ * Split a story into its title and blocks
+ * Blocks are { type: 'paragraph', lines } or { type: 'break' } for ---, *** and * * * scene breaks
+ */
+export function parseStory(content = '', fallbackTitle = '') {
+  const marker = content.match(TITLE_MARKER);
+  const title = (marker && (marker[1].trim() || marker[2].trim())) || fallbackTitle;
+  const body = marker ? content.slice(marker[0].length) : content;
+
+  const blocks = body
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => (/^(-{3,}|\*{3,}|(\* ){2,}\*)$/.test(block)
+      ? { type: 'break' }
+      : { type: 'paragraph', lines: block.split('\n').map(line => line.trim()) }));
+
+  return { title, blocks };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// **bold** and *italic* or _italic_, applied after escaping
+function inlineXhtml(text) {
+  return escapeXml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])[*_](?!\s)(.+?)(?<!\s)[*_](?![*\w])/g, '$1<em>$2</em>');
+}
+
+function plainText(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/(^|[^*\w])[*_](?!\s)(.+?)(?<!\s)[*_](?![*\w])/g, '$1$2');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Label/value pairs shown with every export: year, categories, generation date and parameters
+ */
+function describeStory(story) {
+  const details = [];
+  if (story.year) details.push(['Year', String(story.year)]);
+  if (story.categories.length > 0) {
+    details.push([story.categories.length === 1 ? 'Category' : 'Categories', story.categories.join(', ')]);
+  }
+  details.push(['Generated', formatDate(story.created_at)]);
+  for (const parameter of story.parameters) {
+    details.push([parameter.name, parameter.value]);
+  }
+  return details;
+}
+
+function storyXhtmlBody(story, { title, blocks }, imageSrc) {
+  const details = describeStory(story)
+    .map(([label, value]) => `      <dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`)
+    .join('\n');
+  const content = blocks
+    .map(block => (block.type === 'break'
+      ? '    <hr class="scene-break" />'
+      : `    <p>${block.lines.map(inlineXhtml).join('<br />')}</p>`))
+    .join('\n');
+
+  return [
+    '  <article class="story">',
+    `    <h1>${escapeXml(title)}</h1>`,
+    imageSrc ? `    <figure class="story-image"><img src="${escapeXml(imageSrc)}" alt="${escapeXml(title)}" /></figure>` : null,
+    '    <dl class="story-details">',
+    details,
+    '    </dl>',
+    content,
+    '  </article>'
+  ].filter(line => line !== null).join('\n');
+}
+
+// Print rules keep the HTML export ready to save as PDF from a browser
+const STORY_CSS = `body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; max-width: 40em; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { font-size: 2em; line-height: 1.2; margin-bottom: 0.5em; }
+.story-image { margin: 0 0 1.5em; text-align: center; }
+.story-image img { max-width: 100%; height: auto; }
+.story-details { display: grid; grid-template-columns: auto 1fr; gap: 0.2em 1em; font-size: 0.9em; color: #555; margin-bottom: 2em; }
+.story-details dt { font-weight: bold; }
+.story-details dd { margin: 0; }
+p { text-indent: 1.5em; margin: 0 0 0.8em; }
+.scene-break { border: none; text-align: center; margin: 1.5em 0; }
+.scene-break::after { content: '* * *'; }
+@page { size: A5; margin: 2cm; }
+@media print {
+  body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+  h1 { page-break-after: avoid; }
+  .story-image { page-break-inside: avoid; }
+  p { orphans: 3; widows: 3; }
+}
+`;
+
+function markdownStory(story, level = 1) {
+  const parsed = parseStory(story.fiction_content, story.title);
+  const lines = [`${'#'.repeat(level)} ${parsed.title}`, ''];
+  if (story.image?.url) lines.push(`![${parsed.title}](${story.image.url})`, '');
+  for (const [label, value] of describeStory(story)) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  lines.push('');
+  for (const block of parsed.blocks) {
+    lines.push(block.type === 'break' ? '---' : block.lines.join('  \n'), '');
+  }
+  return lines;
+}
+
+export function exportMarkdown(story) {
+  return Buffer.from(markdownStory(story).join('\n'), 'utf8');
+}
+
+export function exportText(story) {
+  const parsed = parseStory(story.fiction_content, story.title);
+  const lines = [parsed.title, '='.repeat(parsed.title.length), ''];
+  for (const [label, value] of describeStory(story)) {
+    lines.push(`${label}: ${value}`);
+  }
+  lines.push('');
+  for (const block of parsed.blocks) {
+    lines.push(block.type === 'break' ? '* * *' : block.lines.map(plainText).join('\n'), '');
+  }
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+/**
+ * Standalone HTML page with the image embedded as a data URI
+ */
+export function exportHtml(story) {
+  const parsed = parseStory(story.fiction_content, story.title);
+  const imageSrc = story.image?.buffer
+    ? `data:image/${story.image.format};base64,${story.image.buffer.toString('base64')}`
+    : null;
+  const keywords = [...story.categories, ...(story.year ? [String(story.year)] : [])];
+
+  return Buffer.from(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeXml(parsed.title)}</title>
+  <meta name="generator" content="SpecGen" />
+  <meta name="date" content="${story.created_at.toISOString()}" />
+${keywords.length > 0 ? `  <meta name="keywords" content="${escapeXml(keywords.join(', '))}" />\n` : ''}  <style>
+${STORY_CSS}  </style>
+</head>
+<body>
+${storyXhtmlBody(story, parsed, imageSrc)}
+</body>
+</html>
+`, 'utf8');
+}
+
+function xhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Chapter for one story, with its image stored under images/ when there is one
+ */
+function epubChapter(story, name, imageName = name) {
+  const parsed = parseStory(story.fiction_content, story.title);
+  const image = story.image?.buffer
+    ? { path: `images/${imageName}.${story.image.format}`, buffer: story.image.buffer, format: story.image.format }
+    : null;
+  return {
+    id: name,
+    href: `${name}.xhtml`,
+    title: parsed.title,
+    xhtml: xhtmlDocument(parsed.title, storyXhtmlBody(story, parsed, image?.path)),
+    images: image ? [image] : []
+  };
+}
+
+/**
+ * EPUB 3 book with a navigation document, Dublin Core metadata and an optional cover image
+ * @param {object} book - { id, title, description, created_at, modified_at, subjects, coverage, cover, chapters, navInSpine }
+ */
+function createEpub(book) {
+  const modified = book.modified_at.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const cover = book.cover?.buffer ? { ...book.cover, path: `images/cover.${book.cover.format}` } : null;
+  const images = book.chapters.flatMap(chapter => chapter.images);
+
+  const nav = xhtmlDocument(book.title, `  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+${book.chapters.map(chapter => `      <li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`).join('\n')}
+    </ol>
+  </nav>`);
+
+  const metadata = [
+    `    <dc:identifier id="book-id">urn:uuid:${escapeXml(book.id)}</dc:identifier>`,
+    `    <dc:title>${escapeXml(book.title)}</dc:title>`,
+    '    <dc:language>en</dc:language>',
+    '    <dc:creator>SpecGen</dc:creator>',
+    `    <dc:date>${formatDate(book.created_at)}</dc:date>`,
+    book.description ? `    <dc:description>${escapeXml(book.description)}</dc:description>` : null,
+    ...book.subjects.map(subject => `    <dc:subject>${escapeXml(subject)}</dc:subject>`),
+    book.coverage ? `    <dc:coverage>${escapeXml(book.coverage)}</dc:coverage>` : null,
+    `    <meta property="dcterms:modified">${modified}</meta>`,
+    cover ? '    <meta name="cover" content="cover-image" />' : null
+  ];
+  const manifest = [
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '    <item id="style" href="style.css" media-type="text/css" />',
+    ...book.chapters.map(chapter => `    <item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml" />`),
+    ...images.map((image, index) => `    <item id="image-${index + 1}" href="${image.path}" media-type="image/${image.format}" />`),
+    cover ? `    <item id="cover-image" href="${cover.path}" media-type="image/${cover.format}" properties="cover-image" />` : null
+  ];
+  const spine = [
+    book.navInSpine ? '    <itemref idref="nav" />' : null,
+    ...book.chapters.map(chapter => `    <itemref idref="${chapter.id}" />`)
+  ];
+  const lines = list => list.filter(Boolean).join('\n');
+
+  const packageDocument = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${lines(metadata)}
+  </metadata>
+  <manifest>
+${lines(manifest)}
+  </manifest>
+  <spine>
+${lines(spine)}
+  </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  // The mimetype entry must come first so readers can sniff the format
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: packageDocument },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: STORY_CSS },
+    ...book.chapters.map(chapter => ({ name: `OEBPS/${chapter.href}`, data: chapter.xhtml })),
+    ...images.map(image => ({ name: `OEBPS/${image.path}`, data: image.buffer })),
+    ...(cover ? [{ name: `OEBPS/${cover.path}`, data: cover.buffer }] : [])
+  ], book.modified_at);
+}
+
+/**
+ * EPUB 3 book with one chapter and the story's image as its cover
+ */
+export function exportEpub(story) {
+  // The story's image doubles as the cover, so it is only stored once
+  const chapter = epubChapter(story, 'story', 'cover');
+  return createEpub({
+    id: story.id,
+    title: chapter.title,
+    created_at: story.created_at,
+    modified_at: story.created_at,
+    subjects: story.categories,
+    coverage: story.year ? String(story.year) : null,
+    cover: chapter.images[0] || null,
+    chapters: [{ ...chapter, images: [] }]
+  });
+}
+
+/**
+ * One Markdown file: the collection name and description, a table of contents linking to each story, then the stories
+ */
+export function exportCollectionMarkdown(collection) {
+  const lines = [`# ${collection.name}`, ''];
+  if (collection.description) lines.push(collection.description, '');
+  lines.push('## Contents', '');
+  collection.stories.forEach((story, index) => {
+    lines.push(`${index + 1}. [${parseStory(story.fiction_content, story.title).title}](#story-${index + 1})`);
+  });
+  lines.push('');
+  collection.stories.forEach((story, index) => {
+    lines.push(`<a id="story-${index + 1}"></a>`, '', ...markdownStory(story, 2));
+  });
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+/**
+ * EPUB 3 book with a chapter per story, opening on the table of contents, with the collection cover
+ */
+export function exportCollectionEpub(collection) {
+  const stories = collection.stories;
+  return createEpub({
+    id: collection.id,
+    title: collection.name,
+    description: collection.description,
+    created_at: collection.created_at,
+    modified_at: collection.updated_at,
+    subjects: [...new Set(stories.flatMap(story => story.categories))],
+    coverage: null,
+    cover: collection.cover,
+    chapters: stories.map((story, index) => epubChapter(story, `story-${index + 1}`)),
+    navInSpine: true
+  });
+}
+
+const EXPORTERS = {
+  md: exportMarkdown,
+  html: exportHtml,
+  epub: exportEpub,
+  txt: exportText
+};
+
+const COLLECTION_EXPORTERS = {
+  md: exportCollectionMarkdown,
+  epub: exportCollectionEpub
+};
+
+export const COLLECTION_EXPORT_FORMATS = Object.keys(COLLECTION_EXPORTERS);
+
+/**
+ * Render a story in one of EXPORT_FORMATS
+ * @returns {object} { buffer, contentType, filename }
+ */
+export function exportStory(story, format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  return { buffer: exporter(story), contentType, filename: `${slugify(story.title) || story.id}.${extension}` };
+}
+
+/**
+ * Render a collection - { id, name, description, created_at, updated_at, cover, stories } - in one of COLLECTION_EXPORT_FORMATS
+ * @returns {object} { buffer, contentType, filename }
+ */
+export function exportCollection(collection, format) {
+  const exporter = COLLECTION_EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown collection export format: ${format}`);
+  }
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  return { buffer: exporter(collection), contentType, filename: `${slugify(collection.name) || collection.id}.${extension}` };
+}
+
+export function slugify(value = '') {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+// ZIP archives (stored, not compressed: images are already compressed and the text is small)
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((Math.max(date.getUTCFullYear(), 1980) - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+/**
+ * Build a ZIP archive of uncompressed entries
+ * @param {object[]} entries - { name, data } with data as a string or Buffer
+ * @param {Date} modified - Modification time recorded for every entry
+ */
+export function createZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export default {
+  EXPORT_FORMATS,
+  COLLECTION_EXPORT_FORMATS,
+  exportStory,
+  exportCollection,
+  parseStory,
+  createZip,
+  crc32
+};
@@ -0,0 +1,58 @@
+/**
+ * Schema migration command line
+ *
+ * Usage: node migrate.js [status|up|down|images [backend]]
+ *   status  - list applied and pending migrations (default)
+ *   up      - apply all pending migrations
+ *   down    - roll back the most recently applied migration
+ *   images  - move every stored image into a storage backend (default: storage.images in config.js)
+ */
+
+import config from './config.js';
+import { dataService } from './services.js';
+
+async function main(command = 'status', ...args) {
+  await dataService.init();
+
+  switch (command) {
+    case 'status': {
+      const status = await dataService.getMigrationStatus();
+      console.log(`Schema version: ${status.schema_version}, database version: ${status.database_version || 'none'}`);
+      status.applied.forEach(migration => console.log(`  applied  ${migration.id} (${migration.version})`));
+      status.pending.forEach(migration => console.log(`  pending  ${migration.id} (${migration.version})`));
+      break;
+    }
+    case 'up': {
+      // init() already applied anything pending
+      const status = await dataService.getMigrationStatus();
+      console.log(`Database is at ${status.database_version}`);
+      break;
+    }
+    case 'down': {
+      const migration = await dataService.rollbackMigration();
+      console.log(`Rolled back ${migration.id}`);
+      break;
+    }
+    case 'images': {
+      const target = args[0] || config.get('storage.images');
+      const moved = await dataService.moveImages(target);
+      console.log(`Moved ${moved.content} content images and ${moved.history} history images to ${target}`);
+      moved.missing.forEach(row => console.warn(`  skipped ${row}: image not found in its backend`));
+
+      // Free the pages the BLOBs used
+      if (target !== 'database' && moved.content + moved.history > 0) {
+        await dataService.run('VACUUM');
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}"; use status, up, down or images`);
+  }
+}
+
+main(...process.argv.slice(2))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => dataService.close());
@@ -0,0 +1,79 @@
+/**
+ * Baseline schema shipped as 2.0.0
+ * Uses IF NOT EXISTS so databases created before migrations existed can adopt it
+ */
+
+export const version = '2.0.0';
+export const description = 'Categories, parameters, generated content and settings';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS categories (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT DEFAULT '',
+    visibility TEXT DEFAULT 'Show' CHECK(visibility IN ('Show', 'Hide')),
+    year INTEGER,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS parameters (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    type TEXT NOT NULL CHECK(type IN ('select', 'text', 'number', 'boolean', 'range')),
+    category_id TEXT NOT NULL,
+    visibility TEXT DEFAULT 'Basic' CHECK(visibility IN ('Basic', 'Advanced', 'Hide')),
+    required INTEGER DEFAULT 0,
+    sort_order INTEGER DEFAULT 0,
+    parameter_values TEXT,
+    parameter_config TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS generated_content (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL CHECK(length(title) <= 200),
+    fiction_content TEXT NOT NULL CHECK(length(fiction_content) <= 50000),
+    image_blob BLOB,
+    image_thumbnail BLOB,
+    image_format TEXT DEFAULT 'png',
+    image_size_bytes INTEGER DEFAULT 0,
+    thumbnail_size_bytes INTEGER DEFAULT 0,
+    prompt_data TEXT,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    data_type TEXT DEFAULT 'string' CHECK(data_type IN ('string', 'number', 'boolean', 'json'))
+  )`);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_categories_name ON categories(name)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_categories_sort_order ON categories(sort_order)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_categories_visibility ON categories(visibility)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_parameters_category_id ON parameters(category_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_parameters_type ON parameters(type)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_parameters_sort_order ON parameters(sort_order)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_parameters_visibility ON parameters(visibility)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_content_created_at ON generated_content(created_at DESC)');
+
+  await db.run(`INSERT OR IGNORE INTO settings (key, value, data_type) VALUES
+    ('app_version', '2.0.0', 'string'),
+    ('max_content_length', '10000', 'number'),
+    ('max_generations_per_session', '50', 'number'),
+    ('enable_image_generation', 'true', 'boolean'),
+    ('default_fiction_length', 'medium', 'string'),
+    ('rate_limit_per_minute', '10', 'number'),
+    ('maintenance_mode', 'false', 'boolean')`);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS settings');
+  await db.run('DROP TABLE IF EXISTS generated_content');
+  await db.run('DROP TABLE IF EXISTS parameters');
+  await db.run('DROP TABLE IF EXISTS categories');
+}
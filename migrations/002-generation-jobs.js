@@ -0,0 +1,29 @@
+/**
+ * Background generation jobs
+ */
+
+export const version = '2.1.0';
+export const description = 'Generation jobs table';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS generation_jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'succeeded', 'failed')),
+    stage TEXT CHECK(stage IN ('fiction', 'image', 'thumbnail', 'saving')),
+    progress INTEGER DEFAULT 0,
+    request_data TEXT NOT NULL,
+    content_id TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE SET NULL
+  )`);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_generation_jobs_created_at ON generation_jobs(created_at DESC)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS generation_jobs');
+}
@@ -0,0 +1,25 @@
+/**
+ * Versioned prompt templates
+ */
+
+export const version = '2.2.0';
+export const description = 'Prompt templates table';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS prompt_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL CHECK(name IN ('fiction_system', 'fiction_prompt', 'image_suffix')),
+    version INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    is_active INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (name, version)
+  )`);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_prompt_templates_name_active ON prompt_templates(name, is_active)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS prompt_templates');
+}
@@ -0,0 +1,25 @@
+/**
+ * Per-category prompt, style, temperature and length overrides
+ */
+
+export const version = '2.3.0';
+export const description = 'Category prompt override columns';
+
+const COLUMNS = [
+  'system_prompt TEXT',
+  'image_style TEXT',
+  'temperature REAL',
+  'story_length INTEGER'
+];
+
+export async function up(db) {
+  for (const column of COLUMNS) {
+    await db.addColumn('categories', column);
+  }
+}
+
+export async function down(db) {
+  for (const column of COLUMNS) {
+    await db.dropColumn('categories', column.split(' ')[0]);
+  }
+}
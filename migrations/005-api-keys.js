@@ -0,0 +1,23 @@
+/**
+ * Hashed API keys for authentication
+ */
+
+export const version = '2.4.0';
+export const description = 'API keys table';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('viewer', 'editor', 'admin')),
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS api_keys');
+}
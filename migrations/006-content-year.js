@@ -0,0 +1,16 @@
+/**
+ * Story year on generated content, for filtering and sorting
+ */
+
+export const version = '2.5.0';
+export const description = 'Generated content year column';
+
+export async function up(db) {
+  await db.addColumn('generated_content', 'year INTEGER');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_content_year ON generated_content(year)');
+}
+
+export async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_content_year');
+  await db.dropColumn('generated_content', 'year');
+}
@@ -0,0 +1,30 @@
+/**
+ * FTS5 index over generated content titles and stories, kept in sync by triggers
+ */
+
+export const version = '2.6.0';
+export const description = 'Content full-text search';
+
+export async function up(db) {
+  await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS content_search
+    USING fts5(content_id UNINDEXED, title, fiction_content, tokenize = 'porter unicode61')`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS content_search_insert AFTER INSERT ON generated_content BEGIN
+    INSERT INTO content_search (content_id, title, fiction_content) VALUES (new.id, new.title, new.fiction_content);
+  END`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS content_search_update AFTER UPDATE OF id, title, fiction_content ON generated_content BEGIN
+    DELETE FROM content_search WHERE content_id = old.id;
+    INSERT INTO content_search (content_id, title, fiction_content) VALUES (new.id, new.title, new.fiction_content);
+  END`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS content_search_delete AFTER DELETE ON generated_content BEGIN
+    DELETE FROM content_search WHERE content_id = old.id;
+  END`);
+  await db.run('DELETE FROM content_search');
+  await db.run('INSERT INTO content_search (content_id, title, fiction_content) SELECT id, title, fiction_content FROM generated_content');
+}
+
+export async function down(db) {
+  await db.run('DROP TRIGGER IF EXISTS content_search_insert');
+  await db.run('DROP TRIGGER IF EXISTS content_search_update');
+  await db.run('DROP TRIGGER IF EXISTS content_search_delete');
+  await db.run('DROP TABLE IF EXISTS content_search');
+}
@@ -0,0 +1,18 @@
+/**
+ * Links regenerated content to the item it came from and to its variant group
+ */
+
+export const version = '2.7.0';
+export const description = 'Generated content variants';
+
+export async function up(db) {
+  await db.addColumn('generated_content', 'parent_id TEXT');
+  await db.addColumn('generated_content', 'variant_group TEXT');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_content_variant_group ON generated_content(variant_group)');
+}
+
+export async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_content_variant_group');
+  await db.dropColumn('generated_content', 'variant_group');
+  await db.dropColumn('generated_content', 'parent_id');
+}
@@ -0,0 +1,26 @@
+/**
+ * Previous images of a content item, kept when the image is regenerated
+ */
+
+export const version = '2.8.0';
+export const description = 'Image history table';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS image_history (
+    id TEXT PRIMARY KEY,
+    content_id TEXT NOT NULL,
+    image_blob BLOB NOT NULL,
+    image_thumbnail BLOB,
+    image_format TEXT DEFAULT 'png',
+    image_size_bytes INTEGER DEFAULT 0,
+    thumbnail_size_bytes INTEGER DEFAULT 0,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_image_history_content_id ON image_history(content_id, created_at DESC)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS image_history');
+}
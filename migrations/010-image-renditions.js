@@ -0,0 +1,27 @@
+/**
+ * Cache of resized and re-encoded images served by /api/images/:id
+ */
+
+export const version = '2.9.0';
+export const description = 'Image renditions cache';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS image_renditions (
+    id TEXT PRIMARY KEY,
+    content_id TEXT NOT NULL,
+    width INTEGER NOT NULL DEFAULT 0,
+    height INTEGER NOT NULL DEFAULT 0,
+    fit TEXT NOT NULL,
+    format TEXT NOT NULL,
+    image_blob BLOB NOT NULL,
+    size_bytes INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (content_id, width, height, fit, format),
+    FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE
+  )`);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS image_renditions');
+}
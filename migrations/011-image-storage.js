@@ -0,0 +1,47 @@
+/**
+ * Image storage backends: generated content and image history can point at an object key
+ * in a storage backend instead of holding BLOBs. image_history is rebuilt so its BLOB can be empty.
+ * Rolling back drops the keys; move images back first with `npm run migrate -- images database`.
+ */
+
+export const version = '2.10.0';
+export const description = 'Image storage keys';
+
+const HISTORY_COLUMNS = 'id, content_id, image_blob, image_thumbnail, image_format, image_size_bytes, thumbnail_size_bytes, metadata, created_at';
+
+async function rebuildImageHistory(db, { blobRequired, storageColumns }) {
+  await db.run(`CREATE TABLE image_history_rebuilt (
+    id TEXT PRIMARY KEY,
+    content_id TEXT NOT NULL,
+    image_blob BLOB${blobRequired ? ' NOT NULL' : ''},
+    image_thumbnail BLOB,
+    image_format TEXT DEFAULT 'png',
+    image_size_bytes INTEGER DEFAULT 0,
+    thumbnail_size_bytes INTEGER DEFAULT 0,
+    metadata TEXT,${storageColumns ? `
+    image_storage TEXT,
+    image_key TEXT,
+    thumbnail_key TEXT,` : ''}
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE
+  )`);
+  await db.run(`INSERT INTO image_history_rebuilt (${HISTORY_COLUMNS})
+    SELECT ${HISTORY_COLUMNS} FROM image_history${blobRequired ? ' WHERE image_blob IS NOT NULL' : ''}`);
+  await db.run('DROP TABLE image_history');
+  await db.run('ALTER TABLE image_history_rebuilt RENAME TO image_history');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_image_history_content_id ON image_history(content_id, created_at DESC)');
+}
+
+export async function up(db) {
+  await db.addColumn('generated_content', 'image_storage TEXT');
+  await db.addColumn('generated_content', 'image_key TEXT');
+  await db.addColumn('generated_content', 'thumbnail_key TEXT');
+  await rebuildImageHistory(db, { blobRequired: false, storageColumns: true });
+}
+
+export async function down(db) {
+  await rebuildImageHistory(db, { blobRequired: true, storageColumns: false });
+  await db.dropColumn('generated_content', 'thumbnail_key');
+  await db.dropColumn('generated_content', 'image_key');
+  await db.dropColumn('generated_content', 'image_storage');
+}
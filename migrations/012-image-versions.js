@@ -0,0 +1,46 @@
+/**
+ * Image versions: content hashes of the original and thumbnail, used as ETags and as the
+ * ?v= token in image URLs, and the time the image last changed, sent as Last-Modified.
+ * Images held as BLOBs are hashed here; images in other backends are hashed the first time they are served.
+ */
+
+import crypto from 'crypto';
+
+export const version = '2.11.0';
+export const description = 'Image content hashes';
+
+function sha256(buffer) {
+  return buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null;
+}
+
+async function hashStoredImages(db, table) {
+  const rows = await db.query(`SELECT id FROM ${table} WHERE image_blob IS NOT NULL`);
+  for (const { id } of rows) {
+    const row = await db.get(`SELECT image_blob, image_thumbnail FROM ${table} WHERE id = ?`, [id]);
+    await db.run(
+      `UPDATE ${table} SET image_hash = ?, thumbnail_hash = ? WHERE id = ?`,
+      [sha256(row.image_blob), sha256(row.image_thumbnail), id]
+    );
+  }
+}
+
+export async function up(db) {
+  await db.addColumn('generated_content', 'image_hash TEXT');
+  await db.addColumn('generated_content', 'thumbnail_hash TEXT');
+  await db.addColumn('generated_content', 'image_updated_at DATETIME');
+  await db.addColumn('image_history', 'image_hash TEXT');
+  await db.addColumn('image_history', 'thumbnail_hash TEXT');
+
+  await db.run(`UPDATE generated_content SET image_updated_at = created_at
+    WHERE image_blob IS NOT NULL OR image_key IS NOT NULL`);
+  await hashStoredImages(db, 'generated_content');
+  await hashStoredImages(db, 'image_history');
+}
+
+export async function down(db) {
+  await db.dropColumn('image_history', 'thumbnail_hash');
+  await db.dropColumn('image_history', 'image_hash');
+  await db.dropColumn('generated_content', 'image_updated_at');
+  await db.dropColumn('generated_content', 'thumbnail_hash');
+  await db.dropColumn('generated_content', 'image_hash');
+}
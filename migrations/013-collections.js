@@ -0,0 +1,32 @@
+/**
+ * Collections: named, ordered groups of generated content (anthologies)
+ */
+
+export const version = '2.12.0';
+export const description = 'Collections';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS collections (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL CHECK(length(name) <= 200),
+    description TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run(`CREATE TABLE IF NOT EXISTS collection_items (
+    collection_id TEXT NOT NULL,
+    content_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, content_id),
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+    FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_collection_items_position ON collection_items(collection_id, position)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_collection_items_content_id ON collection_items(content_id)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS collection_items');
+  await db.run('DROP TABLE IF EXISTS collections');
+}
@@ -0,0 +1,23 @@
+/**
+ * Generation usage: per-client counters behind the max_generations_per_session and
+ * rate_limit_per_minute settings, kept in the database so they survive restarts
+ */
+
+export const version = '2.13.0';
+export const description = 'Generation usage counters';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS generation_usage (
+    client_key TEXT PRIMARY KEY,
+    client_type TEXT NOT NULL CHECK(client_type IN ('session', 'api_key', 'ip')),
+    total INTEGER NOT NULL DEFAULT 0,
+    window_count INTEGER NOT NULL DEFAULT 0,
+    window_started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS generation_usage');
+}
@@ -0,0 +1,28 @@
+/**
+ * Settings history: one row per settings write with the old and new value and who made it,
+ * so changes can be audited and settings rolled back to an earlier point in time
+ */
+
+export const version = '2.14.0';
+export const description = 'Settings history';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS settings_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL,
+    action TEXT NOT NULL CHECK(action IN ('update', 'reset', 'delete', 'rollback')),
+    old_value TEXT,
+    old_data_type TEXT,
+    new_value TEXT,
+    new_data_type TEXT,
+    actor_id TEXT,
+    actor_name TEXT,
+    changed_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_settings_history_key ON settings_history(key, changed_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_settings_history_changed_at ON settings_history(changed_at)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS settings_history');
+}
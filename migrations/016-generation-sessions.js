@@ -0,0 +1,16 @@
+/**
+ * Generation sessions: max_generations_per_session counts start over once a session expires,
+ * so session_started_at records when the current count began
+ */
+
+export const version = '2.15.0';
+export const description = 'Generation session expiry';
+
+export async function up(db) {
+  await db.addColumn('generation_usage', 'session_started_at DATETIME');
+  await db.run('UPDATE generation_usage SET session_started_at = created_at');
+}
+
+export async function down(db) {
+  await db.dropColumn('generation_usage', 'session_started_at');
+}
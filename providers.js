@@ -0,0 +1,401 @@
+/**
+ * AI Providers for SpecGen Server
+ * Text and image adapters behind a common interface, selected per model in config.js
+ *
+ * Every adapter exposes name and isConfigured
+ * Text adapters:  complete(request) and stream(request, onToken) resolve to { content, model, tokens }
+ * Image adapters: generate(request) resolves to { url } or { buffer }
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Sharp renders mock images; without it the mock provider falls back to the fixture PNG
+let sharp = null;
+try {
+  sharp = (await import('sharp')).default;
+} catch {
+  sharp = null;
+}
+
+// 1x1 transparent PNG used when no fixture image is configured
+const FIXTURE_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const DEFAULT_FIXTURE_STORIES = [
+  '**Title: The Lantern Market**\n\nIn the old quarter of Jaipur, the lantern sellers still opened their stalls at dusk. Meera walked between them with her grandmother, listening to the hum of the new solar lines strung above the rooftops.',
+  '**Title: Monsoon Memory**\n\nWhen the rains came to Kochi that year, the fishing boats returned with more than fish. Ravi found a small glowing device tangled in his nets, still warm from the sea.'
+];
+
+// Word banks for mock stories
+const MOCK_STORY_PARTS = {
+  adjectives: ['Silent', 'Golden', 'Drowned', 'Electric', 'Forgotten', 'Saffron', 'Quiet', 'Burning'],
+  nouns: ['Monsoon', 'Market', 'Signal', 'Archive', 'Orchard', 'Harbour', 'Festival', 'Observatory'],
+  characters: ['Priya', 'Arjun', 'Kavya', 'Dev', 'Meera', 'Ravi', 'Anita', 'Vikram'],
+  places: ['Mumbai', 'Kochi', 'Jaipur', 'Varanasi', 'Bangalore', 'Kolkata', 'Madurai', 'Shillong'],
+  openings: [
+    'woke before the first train and listened to the city breathing',
+    'found a message hidden in the old family almanac',
+    'carried tea to the rooftop where the weather drones nested',
+    'closed the shop early when the river began to glow'
+  ],
+  turns: [
+    'Nobody else seemed to notice that the streetlights were spelling out names.',
+    'By noon the whole neighbourhood had gathered, arguing over what it meant.',
+    'Grandmother only smiled and said it had happened once before, long ago.',
+    'The answer, it turned out, was written in the recipes everyone already knew.'
+  ],
+  endings: [
+    'When the rain finally came, it sounded like applause.',
+    'That night the festival lamps burned a colour no one had a name for yet.',
+    'And in the morning, the market opened as if nothing had changed, though everything had.',
+    'The city kept the secret, the way cities do.'
+  ]
+};
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32) seeded from a string
+ */
+function seededRandom(seedText) {
+  let state = crypto.createHash('sha256').update(seedText).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse one line of an OpenAI server-sent event stream
+ * Returns null for blank lines, comments and the [DONE] sentinel
+ */
+export function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('data:')) return null;
+
+  const data = trimmed.slice(5).trim();
+  if (data === '[DONE]') return null;
+
+  return JSON.parse(data);
+}
+
+/**
+ * Text adapter for the OpenAI chat completions API
+ */
+export class OpenAITextAdapter {
+  constructor({ name, type, baseUrl, apiKey }) {
+    this.name = name || type;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+  }
+
+  get isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  buildBody({ model, messages, temperature, maxTokens }) {
+    return { model, messages, temperature, max_tokens: maxTokens };
+  }
+
+  async complete(request) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.buildBody(request),
+      { headers: this.headers() }
+    );
+
+    return {
+      content: response.data.choices[0].message.content,
+      model: response.data.model || request.model,
+      tokens: response.data.usage?.total_tokens ?? null
+    };
+  }
+
+  async stream(request, onToken) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        ...this.buildBody(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      { headers: this.headers(), responseType: 'stream' }
+    );
+
+    let content = '';
+    let model = request.model;
+    let tokens = null;
+    let buffered = '';
+
+    for await (const chunk of response.data) {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const event = parseStreamLine(line);
+        if (!event) continue;
+
+        model = event.model || model;
+        if (event.usage) tokens = event.usage.total_tokens;
+
+        const token = event.choices?.[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    }
+
+    return { content, model, tokens };
+  }
+}
+
+/**
+ * Image adapter for the OpenAI images API
+ */
+export class OpenAIImageAdapter {
+  constructor({ name, type, baseUrl, apiKey }) {
+    this.name = name || type;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+  }
+
+  get isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async generate({ model, prompt, size, quality }) {
+    const response = await axios.post(
+      `${this.baseUrl}/images/generations`,
+      { model, prompt, size, quality, n: 1 },
+      { headers: this.headers() }
+    );
+
+    const image = response.data.data[0];
+    if (image.b64_json) {
+      return { buffer: Buffer.from(image.b64_json, 'base64') };
+    }
+    return { url: image.url };
+  }
+}
+
+/**
+ * Adapters for local servers that speak the OpenAI API (Ollama, llama.cpp, LocalAI)
+ * These usually run without an API key
+ */
+export class OpenAICompatibleTextAdapter extends OpenAITextAdapter {
+  get isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+}
+
+export class OpenAICompatibleImageAdapter extends OpenAIImageAdapter {
+  get isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+}
+
+/**
+ * Offline text adapter that replays stories from a fixtures file
+ * The same prompt always selects the same story
+ */
+export class FixtureTextAdapter {
+  constructor({ name, type, path: fixturesPath }) {
+    this.name = name || type;
+    this.fixturesPath = fixturesPath;
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  loadStories() {
+    if (this.fixturesPath && fs.existsSync(this.fixturesPath)) {
+      const fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+      if (Array.isArray(fixtures.stories) && fixtures.stories.length > 0) {
+        return fixtures.stories;
+      }
+    }
+    return DEFAULT_FIXTURE_STORIES;
+  }
+
+  selectStory(request) {
+    const stories = this.loadStories();
+    const digest = crypto.createHash('sha256').update(JSON.stringify(request.messages)).digest();
+    return stories[digest.readUInt32BE(0) % stories.length];
+  }
+
+  async complete(request) {
+    const content = this.selectStory(request);
+    return {
+      content,
+      model: request.model,
+      tokens: content.split(/\s+/).length
+    };
+  }
+
+  async stream(request, onToken) {
+    const result = await this.complete(request);
+    result.content.split(/(?<=\s)/).forEach(token => onToken(token));
+    return result;
+  }
+}
+
+/**
+ * Offline image adapter that returns the fixture image
+ */
+export class FixtureImageAdapter {
+  constructor({ name, type, imagePath }) {
+    this.name = name || type;
+    this.imagePath = imagePath;
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  async generate() {
+    if (this.imagePath && fs.existsSync(this.imagePath)) {
+      return { buffer: fs.readFileSync(this.imagePath) };
+    }
+    return { buffer: Buffer.from(FIXTURE_PNG_BASE64, 'base64') };
+  }
+}
+
+/**
+ * Offline text adapter that writes seeded placeholder stories
+ * Stories start with a **Title:** marker; the same seed and prompt give the same story
+ */
+export class MockTextAdapter {
+  constructor({ name, type, seed }) {
+    this.name = name || type;
+    this.seed = seed || 'specgen';
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  writeStory(request) {
+    const random = seededRandom(`${this.seed}:${JSON.stringify(request.messages)}`);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const prompt = request.messages.map(message => message.content).join('\n');
+    const year = prompt.match(/Year (\d{4})/)?.[1];
+
+    const character = pick(MOCK_STORY_PARTS.characters);
+    const place = pick(MOCK_STORY_PARTS.places);
+    const title = `The ${pick(MOCK_STORY_PARTS.adjectives)} ${pick(MOCK_STORY_PARTS.nouns)}`;
+
+    return [
+      `**Title: ${title}**`,
+      `${year ? `In ${year}, in` : 'In'} ${place}, ${character} ${pick(MOCK_STORY_PARTS.openings)}.`,
+      pick(MOCK_STORY_PARTS.turns),
+      pick(MOCK_STORY_PARTS.endings)
+    ].join('\n\n');
+  }
+
+  async complete(request) {
+    const content = this.writeStory(request);
+    return {
+      content,
+      model: request.model,
+      tokens: content.split(/\s+/).length
+    };
+  }
+
+  async stream(request, onToken) {
+    const result = await this.complete(request);
+    result.content.split(/(?<=\s)/).forEach(token => onToken(token));
+    return result;
+  }
+}
+
+/**
+ * Offline image adapter that renders a seeded placeholder PNG
+ */
+export class MockImageAdapter {
+  constructor({ name, type, seed }) {
+    this.name = name || type;
+    this.seed = seed || 'specgen';
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  async generate({ prompt, size }) {
+    if (!sharp) {
+      return { buffer: Buffer.from(FIXTURE_PNG_BASE64, 'base64') };
+    }
+
+    const [width, height] = (size || '1024x1024').split('x').map(Number);
+    const random = seededRandom(`${this.seed}:${prompt}`);
+    const color = () => '#' + Math.floor(random() * 0xFFFFFF).toString(16).padStart(6, '0');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs>
+        <linearGradient id="sky" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0" stop-color="${color()}"/>
+          <stop offset="1" stop-color="${color()}"/>
+        </linearGradient>
+      </defs>
+      <rect width="${width}" height="${height}" fill="url(#sky)"/>
+      <circle cx="${Math.round(width * (0.2 + random() * 0.6))}" cy="${Math.round(height * 0.35)}" r="${Math.round(width * 0.12)}" fill="${color()}"/>
+      <rect y="${Math.round(height * 0.7)}" width="${width}" height="${Math.round(height * 0.3)}" fill="${color()}"/>
+    </svg>`;
+
+    return { buffer: await sharp(Buffer.from(svg)).png().toBuffer() };
+  }
+}
+
+const TEXT_ADAPTERS = {
+  'openai': OpenAITextAdapter,
+  'openai-compatible': OpenAICompatibleTextAdapter,
+  'fixture': FixtureTextAdapter,
+  'mock': MockTextAdapter
+};
+
+const IMAGE_ADAPTERS = {
+  'openai': OpenAIImageAdapter,
+  'openai-compatible': OpenAICompatibleImageAdapter,
+  'fixture': FixtureImageAdapter,
+  'mock': MockImageAdapter
+};
+
+/**
+ * Create the text adapter for a provider configuration from config.js ai.providers
+ */
+export function createTextProvider(providerConfig) {
+  const Adapter = TEXT_ADAPTERS[providerConfig.type];
+  if (!Adapter) {
+    throw new Error(`Unknown text provider type: ${providerConfig.type}`);
+  }
+  return new Adapter(providerConfig);
+}
+
+/**
+ * Create the image adapter for a provider configuration from config.js ai.providers
+ */
+export function createImageProvider(providerConfig) {
+  const Adapter = IMAGE_ADAPTERS[providerConfig.type];
+  if (!Adapter) {
+    throw new Error(`Unknown image provider type: ${providerConfig.type}`);
+  }
+  return new Adapter(providerConfig);
+}
+
+export default {
+  createTextProvider,
+  createImageProvider,
+  parseStreamLine
+};
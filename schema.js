@@ -11,14 +11,48 @@
 
 /**
  * Schema version for migration tracking
+ * Must equal the version of the latest file in migrations/; new databases are
+ * created from the tables below and start out with every migration applied
  */
-export const SCHEMA_VERSION = '2.0.0';
+export const SCHEMA_VERSION = '2.15.0';
+
+/**
+ * Prompt templates that can override the built-in generation wording
+ */
+export const PROMPT_TEMPLATE_NAMES = ['fiction_system', 'fiction_prompt', 'image_suffix'];
+
+/**
+ * API roles, lowest privilege first; each role can do everything the ones before it can
+ */
+export const API_ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * How a generation quota client was identified, most specific first
+ */
+export const GENERATION_CLIENT_TYPES = ['session', 'api_key', 'ip'];
+
+/**
+ * What a settings_history row records: an update, a reset to the default, removal of
+ * a setting outside the registry, or a write made by a rollback
+ */
+export const SETTINGS_HISTORY_ACTIONS = ['update', 'reset', 'delete', 'rollback'];
 
 /**
  * Table Definitions
  * Each table includes: columns, constraints, and indexes
  */
 export const TABLES = {
+  schema_migrations: {
+    name: 'schema_migrations',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'version TEXT NOT NULL',
+      'description TEXT DEFAULT \'\'',
+      'applied_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+    ],
+    indexes: []
+  },
+
   categories: {
     name: 'categories',
     columns: [
@@ -28,6 +62,10 @@ export const TABLES = {
       'visibility TEXT DEFAULT \'Show\' CHECK(visibility IN (\'Show\', \'Hide\'))',
       'year INTEGER',
       'sort_order INTEGER DEFAULT 0',
+      'system_prompt TEXT',
+      'image_style TEXT',
+      'temperature REAL',
+      'story_length INTEGER',
       'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
     ],
     indexes: [
@@ -74,13 +112,164 @@ export const TABLES = {
       'thumbnail_size_bytes INTEGER DEFAULT 0',
       'prompt_data TEXT',
       'metadata TEXT',
+      'year INTEGER',
+      'parent_id TEXT',
+      'variant_group TEXT',
+      'image_storage TEXT',
+      'image_key TEXT',
+      'thumbnail_key TEXT',
+      'image_hash TEXT',
+      'thumbnail_hash TEXT',
+      'image_updated_at DATETIME',
       'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
     ],
     indexes: [
-      'CREATE INDEX idx_content_created_at ON generated_content(created_at DESC)'
+      'CREATE INDEX idx_content_created_at ON generated_content(created_at DESC)',
+      'CREATE INDEX idx_content_year ON generated_content(year)',
+      'CREATE INDEX idx_content_variant_group ON generated_content(variant_group)'
+    ]
+  },
+
+  generation_jobs: {
+    name: 'generation_jobs',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'status TEXT NOT NULL DEFAULT \'queued\' CHECK(status IN (\'queued\', \'running\', \'succeeded\', \'failed\'))',
+      'stage TEXT CHECK(stage IN (\'fiction\', \'image\', \'thumbnail\', \'saving\'))',
+      'progress INTEGER DEFAULT 0',
+      'request_data TEXT NOT NULL',
+      'content_id TEXT',
+      'error TEXT',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'started_at DATETIME',
+      'completed_at DATETIME',
+      'FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE SET NULL'
+    ],
+    indexes: [
+      'CREATE INDEX idx_generation_jobs_status ON generation_jobs(status)',
+      'CREATE INDEX idx_generation_jobs_created_at ON generation_jobs(created_at DESC)'
+    ]
+  },
+
+  image_history: {
+    name: 'image_history',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'content_id TEXT NOT NULL',
+      'image_blob BLOB',
+      'image_thumbnail BLOB',
+      'image_format TEXT DEFAULT \'png\'',
+      'image_size_bytes INTEGER DEFAULT 0',
+      'thumbnail_size_bytes INTEGER DEFAULT 0',
+      'metadata TEXT',
+      'image_storage TEXT',
+      'image_key TEXT',
+      'thumbnail_key TEXT',
+      'image_hash TEXT',
+      'thumbnail_hash TEXT',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE'
+    ],
+    indexes: [
+      'CREATE INDEX idx_image_history_content_id ON image_history(content_id, created_at DESC)'
+    ]
+  },
+
+  image_renditions: {
+    name: 'image_renditions',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'content_id TEXT NOT NULL',
+      'width INTEGER NOT NULL DEFAULT 0',
+      'height INTEGER NOT NULL DEFAULT 0',
+      'fit TEXT NOT NULL',
+      'format TEXT NOT NULL',
+      'image_blob BLOB NOT NULL',
+      'size_bytes INTEGER DEFAULT 0',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'UNIQUE (content_id, width, height, fit, format)',
+      'FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE'
+    ],
+    indexes: []
+  },
+
+  collections: {
+    name: 'collections',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'name TEXT NOT NULL CHECK(length(name) <= 200)',
+      'description TEXT DEFAULT \'\'',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'updated_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+    ],
+    indexes: []
+  },
+
+  collection_items: {
+    name: 'collection_items',
+    columns: [
+      'collection_id TEXT NOT NULL',
+      'content_id TEXT NOT NULL',
+      'position INTEGER NOT NULL',
+      'added_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'PRIMARY KEY (collection_id, content_id)',
+      'FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE',
+      'FOREIGN KEY (content_id) REFERENCES generated_content(id) ON DELETE CASCADE'
+    ],
+    indexes: [
+      'CREATE INDEX idx_collection_items_position ON collection_items(collection_id, position)',
+      'CREATE INDEX idx_collection_items_content_id ON collection_items(content_id)'
     ]
   },
 
+  prompt_templates: {
+    name: 'prompt_templates',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      `name TEXT NOT NULL CHECK(name IN (${PROMPT_TEMPLATE_NAMES.map(name => `'${name}'`).join(', ')}))`,
+      'version INTEGER NOT NULL',
+      'body TEXT NOT NULL',
+      'description TEXT DEFAULT \'\'',
+      'is_active INTEGER DEFAULT 0',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'UNIQUE (name, version)'
+    ],
+    indexes: [
+      'CREATE INDEX idx_prompt_templates_name_active ON prompt_templates(name, is_active)'
+    ]
+  },
+
+  api_keys: {
+    name: 'api_keys',
+    columns: [
+      'id TEXT PRIMARY KEY',
+      'name TEXT NOT NULL',
+      'key_hash TEXT NOT NULL UNIQUE',
+      'key_prefix TEXT NOT NULL',
+      `role TEXT NOT NULL CHECK(role IN (${API_ROLES.map(role => `'${role}'`).join(', ')}))`,
+      'last_used_at DATETIME',
+      'revoked_at DATETIME',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+    ],
+    indexes: []
+  },
+
+  generation_usage: {
+    name: 'generation_usage',
+    columns: [
+      'client_key TEXT PRIMARY KEY',
+      `client_type TEXT NOT NULL CHECK(client_type IN (${GENERATION_CLIENT_TYPES.map(type => `'${type}'`).join(', ')}))`,
+      'total INTEGER NOT NULL DEFAULT 0',
+      'window_count INTEGER NOT NULL DEFAULT 0',
+      'window_started_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'session_started_at DATETIME',
+      'last_used_at DATETIME',
+      'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+    ],
+    indexes: []
+  },
+
   settings: {
     name: 'settings',
     columns: [
@@ -89,22 +278,130 @@ export const TABLES = {
       'data_type TEXT DEFAULT \'string\' CHECK(data_type IN (\'string\', \'number\', \'boolean\', \'json\'))'
     ],
     indexes: []
+  },
+
+  settings_history: {
+    name: 'settings_history',
+    columns: [
+      'id INTEGER PRIMARY KEY AUTOINCREMENT',
+      'key TEXT NOT NULL',
+      `action TEXT NOT NULL CHECK(action IN (${SETTINGS_HISTORY_ACTIONS.map(action => `'${action}'`).join(', ')}))`,
+      'old_value TEXT',
+      'old_data_type TEXT',
+      'new_value TEXT',
+      'new_data_type TEXT',
+      'actor_id TEXT',
+      'actor_name TEXT',
+      // Milliseconds, so rollback points can fall between changes made in the same second
+      'changed_at DATETIME DEFAULT (strftime(\'%Y-%m-%d %H:%M:%f\', \'now\'))'
+    ],
+    indexes: [
+      'CREATE INDEX idx_settings_history_key ON settings_history(key, changed_at)',
+      'CREATE INDEX idx_settings_history_changed_at ON settings_history(changed_at)'
+    ]
   }
 };
 
+/**
+ * Full-text search index over generated content
+ * generated_content has a TEXT primary key, so its rowids can change on VACUUM;
+ * the index keeps its own copy of the text keyed by content_id, and triggers
+ * keep it in sync with every insert, update and delete.
+ */
+export const CONTENT_SEARCH = {
+  name: 'content_search',
+  table: 'CREATE VIRTUAL TABLE content_search USING fts5(content_id UNINDEXED, title, fiction_content, tokenize = \'porter unicode61\')',
+  triggers: [
+    `CREATE TRIGGER content_search_insert AFTER INSERT ON generated_content BEGIN
+      INSERT INTO content_search (content_id, title, fiction_content) VALUES (new.id, new.title, new.fiction_content);
+    END`,
+    `CREATE TRIGGER content_search_update AFTER UPDATE OF id, title, fiction_content ON generated_content BEGIN
+      DELETE FROM content_search WHERE content_id = old.id;
+      INSERT INTO content_search (content_id, title, fiction_content) VALUES (new.id, new.title, new.fiction_content);
+    END`,
+    `CREATE TRIGGER content_search_delete AFTER DELETE ON generated_content BEGIN
+      DELETE FROM content_search WHERE content_id = old.id;
+    END`
+  ]
+};
+
+/**
+ * Settings Registry
+ * Every known setting with its type, default, allowed values and description.
+ * Updates are validated against it; keys outside it are only stored when explicitly allowed.
+ * restart_required marks settings that are only read when the server starts.
+ */
+export const SETTINGS_REGISTRY = [
+  {
+    key: 'app_version',
+    data_type: 'string',
+    default: '2.0.0',
+    description: 'Version shown to clients',
+    restart_required: false
+  },
+  {
+    key: 'max_content_length',
+    data_type: 'number',
+    default: 10000,
+    integer: true,
+    min: 100,
+    max: 50000,
+    description: 'Maximum story length in characters',
+    restart_required: false
+  },
+  {
+    key: 'max_generations_per_session',
+    data_type: 'number',
+    default: 50,
+    integer: true,
+    min: 0,
+    max: 100000,
+    description: 'Generations each session, API key or IP address may run in total; 0 turns the limit off',
+    restart_required: false
+  },
+  {
+    key: 'enable_image_generation',
+    data_type: 'boolean',
+    default: true,
+    description: 'Draw an image for each story; when off every generation is text-only',
+    restart_required: false
+  },
+  {
+    key: 'default_fiction_length',
+    data_type: 'string',
+    default: 'medium',
+    enum: ['short', 'medium', 'long'],
+    description: 'Default story length',
+    restart_required: false
+  },
+  {
+    key: 'rate_limit_per_minute',
+    data_type: 'number',
+    default: 10,
+    integer: true,
+    min: 0,
+    max: 1000,
+    description: 'Generations each session, API key or IP address may run per minute; 0 turns the limit off',
+    restart_required: false
+  },
+  {
+    key: 'maintenance_mode',
+    data_type: 'boolean',
+    default: false,
+    description: 'Answer generation and write requests with 503 unless they come from an admin',
+    restart_required: false
+  }
+];
+
 /**
  * Default Settings Data
  * Inserted when database is first created
  */
-export const DEFAULT_SETTINGS = [
-  { key: 'app_version', value: '2.0.0', data_type: 'string' },
-  { key: 'max_content_length', value: '10000', data_type: 'number' },
-  { key: 'max_generations_per_session', value: '50', data_type: 'number' },
-  { key: 'enable_image_generation', value: 'true', data_type: 'boolean' },
-  { key: 'default_fiction_length', value: 'medium', data_type: 'string' },
-  { key: 'rate_limit_per_minute', value: '10', data_type: 'number' },
-  { key: 'maintenance_mode', value: 'false', data_type: 'boolean' }
-];
+export const DEFAULT_SETTINGS = SETTINGS_REGISTRY.map(setting => ({
+  key: setting.key,
+  value: setting.data_type === 'json' ? JSON.stringify(setting.default) : String(setting.default),
+  data_type: setting.data_type
+}));
 
 /**
  * Generate CREATE TABLE statement for a table
@@ -138,11 +435,25 @@ export function createIndexesSQL(tableName, ifNotExists = false) {
   return table.indexes;
 }
 
+/**
+ * Generate the statements for the content search table and its triggers
+ * @param {boolean} ifNotExists - Add IF NOT EXISTS clauses (default: false)
+ */
+export function createSearchSQL(ifNotExists = false) {
+  const statements = [CONTENT_SEARCH.table, ...CONTENT_SEARCH.triggers];
+  if (ifNotExists) {
+    return statements.map(sql => sql
+      .replace('CREATE VIRTUAL TABLE', 'CREATE VIRTUAL TABLE IF NOT EXISTS')
+      .replace('CREATE TRIGGER', 'CREATE TRIGGER IF NOT EXISTS'));
+  }
+  return statements;
+}
+
 /**
  * Get all table names in creation order (respects foreign keys)
  */
 export function getTableNames() {
-  return ['categories', 'parameters', 'generated_content', 'settings'];
+  return ['schema_migrations', 'categories', 'parameters', 'generated_content', 'generation_jobs', 'image_history', 'image_renditions', 'collections', 'collection_items', 'prompt_templates', 'api_keys', 'generation_usage', 'settings', 'settings_history'];
 }
 
 /**
@@ -167,7 +478,7 @@ export function getTableFields(tableName) {
 
   return table.columns
     .map(col => col.split(' ')[0])
-    .filter(field => !field.startsWith('FOREIGN') && !field.startsWith('CHECK'));
+    .filter(field => !field.startsWith('FOREIGN') && !field.startsWith('CHECK') && !field.startsWith('UNIQUE'));
 }
 
 /**
@@ -192,6 +503,9 @@ export function getSchemaInitSQL(ifNotExists = false) {
     statements.push(...indexes);
   });
 
+  // Full-text search index, after generated_content exists
+  statements.push(...createSearchSQL(ifNotExists));
+
   // Insert default settings (only if not using ifNotExists, to avoid duplicates)
   if (!ifNotExists) {
     statements.push(insertDefaultSettingsSQL());
@@ -205,19 +519,36 @@ export function getSchemaInitSQL(ifNotExists = false) {
  * Returns the expected fields for each table
  */
 export const EXPECTED_FIELDS = {
-  categories: ['id', 'name', 'description', 'visibility', 'year', 'sort_order', 'created_at'],
+  schema_migrations: ['id', 'version', 'description', 'applied_at'],
+  categories: ['id', 'name', 'description', 'visibility', 'year', 'sort_order', 'system_prompt', 'image_style', 'temperature', 'story_length', 'created_at'],
   parameters: ['id', 'name', 'description', 'type', 'category_id', 'visibility', 'required', 'sort_order', 'parameter_values', 'parameter_config', 'created_at'],
-  generated_content: ['id', 'title', 'fiction_content', 'image_blob', 'image_thumbnail', 'image_format', 'image_size_bytes', 'thumbnail_size_bytes', 'prompt_data', 'metadata', 'created_at'],
-  settings: ['key', 'value', 'data_type']
+  generated_content: ['id', 'title', 'fiction_content', 'image_blob', 'image_thumbnail', 'image_format', 'image_size_bytes', 'thumbnail_size_bytes', 'prompt_data', 'metadata', 'year', 'parent_id', 'variant_group', 'image_storage', 'image_key', 'thumbnail_key', 'image_hash', 'thumbnail_hash', 'image_updated_at', 'created_at'],
+  generation_jobs: ['id', 'status', 'stage', 'progress', 'request_data', 'content_id', 'error', 'created_at', 'started_at', 'completed_at'],
+  image_history: ['id', 'content_id', 'image_blob', 'image_thumbnail', 'image_format', 'image_size_bytes', 'thumbnail_size_bytes', 'metadata', 'image_storage', 'image_key', 'thumbnail_key', 'image_hash', 'thumbnail_hash', 'created_at'],
+  image_renditions: ['id', 'content_id', 'width', 'height', 'fit', 'format', 'image_blob', 'size_bytes', 'created_at', 'last_used_at'],
+  collections: ['id', 'name', 'description', 'created_at', 'updated_at'],
+  collection_items: ['collection_id', 'content_id', 'position', 'added_at'],
+  prompt_templates: ['id', 'name', 'version', 'body', 'description', 'is_active', 'created_at'],
+  api_keys: ['id', 'name', 'key_hash', 'key_prefix', 'role', 'last_used_at', 'revoked_at', 'created_at'],
+  generation_usage: ['client_key', 'client_type', 'total', 'window_count', 'window_started_at', 'session_started_at', 'last_used_at', 'created_at'],
+  settings: ['key', 'value', 'data_type'],
+  settings_history: ['id', 'key', 'action', 'old_value', 'old_data_type', 'new_value', 'new_data_type', 'actor_id', 'actor_name', 'changed_at']
 };
 
 export default {
   SCHEMA_VERSION,
   TABLES,
+  SETTINGS_REGISTRY,
   DEFAULT_SETTINGS,
+  PROMPT_TEMPLATE_NAMES,
+  API_ROLES,
+  GENERATION_CLIENT_TYPES,
+  SETTINGS_HISTORY_ACTIONS,
+  CONTENT_SEARCH,
   EXPECTED_FIELDS,
   createTableSQL,
   createIndexesSQL,
+  createSearchSQL,
   getTableNames,
   insertDefaultSettingsSQL,
   getTableFields,
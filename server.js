@@ -15,7 +15,9 @@ import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 
 import config from './config.js';
-import { dataService, aiService } from './services.js';
+import { dataService, aiService, generationQueue, authService, imageService } from './services.js';
+import { PROMPT_TEMPLATE_NAMES, API_ROLES, SETTINGS_REGISTRY, SETTINGS_HISTORY_ACTIONS } from './schema.js';
+import { EXPORT_FORMATS, COLLECTION_EXPORT_FORMATS, exportStory, exportCollection } from './exporters.js';
 
 // Initialize logger
 const logger = pino({
@@ -33,12 +35,32 @@ const PORT = config.get('server.port');
 // ==================== VALIDATION SCHEMAS ====================
 
 // Category schemas
-const categorySchema = z.object({
+const categoryFields = {
   name: z.string().min(1, 'Name is required').max(config.get('validation.maxNameLength')),
-  description: z.string().max(config.get('validation.maxDescriptionLength')).default('')
+  description: z.string().max(config.get('validation.maxDescriptionLength')),
+  visibility: z.enum(['Show', 'Hide']),
+  year: z.number().int().min(config.get('validation.yearRange.min')).max(config.get('validation.yearRange.max')).nullable(),
+  sort_order: z.number().int().min(0),
+  system_prompt: z.string().min(1).max(config.get('validation.maxTemplateLength')).nullable(),
+  image_style: z.string().min(1).max(config.get('validation.maxTemplateLength')).nullable(),
+  temperature: z.number().min(0).max(2).nullable(),
+  story_length: z.number().int().min(config.get('validation.storyLengthRange.min')).max(config.get('validation.storyLengthRange.max')).nullable()
+};
+
+const categorySchema = z.object({
+  ...categoryFields,
+  description: categoryFields.description.default(''),
+  visibility: categoryFields.visibility.default('Show'),
+  year: categoryFields.year.optional(),
+  sort_order: categoryFields.sort_order.default(0),
+  system_prompt: categoryFields.system_prompt.optional(),
+  image_style: categoryFields.image_style.optional(),
+  temperature: categoryFields.temperature.optional(),
+  story_length: categoryFields.story_length.optional()
 });
 
-const categoryUpdateSchema = categorySchema.partial().refine(
+// Built from the bare fields so omitted keys are not reset to their defaults
+const categoryUpdateSchema = z.object(categoryFields).partial().refine(
   (data) => Object.keys(data).length > 0,
   'At least one field is required for update'
 );
@@ -52,26 +74,84 @@ const parameterValueSchema = z.object({
 const parameterConfigSchema = z.object({
   min: z.number().optional(),
   max: z.number().optional(),
-  step: z.number().optional()
-});
+  step: z.number().positive().optional()
+}).refine(
+  (data) => data.min === undefined || data.max === undefined || data.min <= data.max,
+  { message: 'min must not be greater than max', path: ['max'] }
+);
 
-const parameterSchema = z.object({
+const parameterFields = {
   name: z.string().min(1, 'Name is required').max(config.get('validation.maxNameLength')),
-  description: z.string().max(config.get('validation.maxDescriptionLength')).default(''),
+  description: z.string().max(config.get('validation.maxDescriptionLength')),
   type: z.enum(['select', 'text', 'number', 'boolean', 'range']),
   category_id: z.string().min(1, 'Category ID is required'),
+  visibility: z.enum(['Basic', 'Advanced', 'Hide']),
+  required: z.boolean(),
+  sort_order: z.number().int().min(0),
   parameter_values: z.union([
     z.array(parameterValueSchema),
     z.object({ on: z.string(), off: z.string() })
-  ]).optional()
+  ]),
+  parameter_config: parameterConfigSchema.nullable()
+};
+
+const parameterSchema = z.object({
+  ...parameterFields,
+  description: parameterFields.description.default(''),
+  visibility: parameterFields.visibility.default('Basic'),
+  required: parameterFields.required.default(false),
+  sort_order: parameterFields.sort_order.default(0),
+  parameter_values: parameterFields.parameter_values.optional(),
+  parameter_config: parameterFields.parameter_config.optional()
+});
+
+// Built from the bare fields so omitted keys are not reset to their defaults
+const parameterUpdateSchema = z.object(parameterFields).partial().omit({ category_id: true });
+
+// Prompt template schemas
+const promptTemplateSchema = z.object({
+  name: z.enum(PROMPT_TEMPLATE_NAMES),
+  body: z.string().min(1, 'Body is required').max(config.get('validation.maxTemplateLength')),
+  description: z.string().max(config.get('validation.maxDescriptionLength')).default('')
 });
 
-const parameterUpdateSchema = parameterSchema.partial().omit({ category_id: true });
+const promptTemplateUpdateSchema = z.object({
+  description: z.string().max(config.get('validation.maxDescriptionLength'))
+});
+
+const promptTemplateFiltersSchema = z.object({
+  name: z.enum(PROMPT_TEMPLATE_NAMES).optional()
+});
+
+// Auth schemas
+const apiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required').max(config.get('validation.maxNameLength')),
+  role: z.enum(API_ROLES)
+});
+
+const tokenRequestSchema = z.object({
+  expires_in: z.number().int().min(60).max(config.get('security.auth.tokenTtlSeconds')).optional()
+});
 
 // Content generation schemas
 const generationRequestSchema = z.object({
-  parameters: z.record(z.any()).default({}),
-  year: z.number().int().min(config.get('validation.yearRange.min')).max(config.get('validation.yearRange.max')).nullable().optional()
+  parameters: z.record(z.string(), z.any()).default({}),
+  year: z.number().int().min(config.get('validation.yearRange.min')).max(config.get('validation.yearRange.max')).nullable().optional(),
+  include_image: z.boolean().default(true),
+  async: z.boolean().default(false)
+});
+
+const generationStreamQuerySchema = z.object({
+  parameters: z.string().default('{}').transform((val, ctx) => {
+    try {
+      return JSON.parse(val);
+    } catch {
+      ctx.addIssue({ code: 'custom', message: 'parameters must be a JSON object' });
+      return z.NEVER;
+    }
+  }).pipe(generationRequestSchema.shape.parameters),
+  year: z.string().transform(val => parseInt(val)).pipe(generationRequestSchema.shape.year).optional(),
+  include_image: z.enum(['true', 'false']).transform(val => val === 'true').optional()
 });
 
 const contentUpdateSchema = z.object({
@@ -81,22 +161,169 @@ const contentUpdateSchema = z.object({
   'At least one field is required for update'
 );
 
+const regenerateRequestSchema = z.object({
+  mode: z.enum(['text', 'image', 'both']).default('both')
+});
+
+const imageRegenerateSchema = z.object({
+  style: z.string().trim().min(1).max(config.get('validation.maxPromptLength')).optional()
+});
+
+const imageRollbackSchema = z.object({
+  history_id: z.string().min(1).optional()
+});
+
+// Collection schemas
+const collectionContentIdsSchema = z.array(z.string().min(1))
+  .max(config.get('validation.maxCollectionItems'))
+  .refine(ids => new Set(ids).size === ids.length, 'content_ids must not repeat a story');
+
+const collectionFields = {
+  name: z.string().trim().min(1, 'Name is required').max(config.get('validation.maxTitleLength')),
+  description: z.string().max(config.get('validation.maxDescriptionLength'))
+};
+
+const collectionSchema = z.object({
+  ...collectionFields,
+  description: collectionFields.description.default(''),
+  content_ids: collectionContentIdsSchema.default([])
+});
+
+const collectionUpdateSchema = z.object(collectionFields).partial().refine(
+  (data) => Object.keys(data).length > 0,
+  'At least one field is required for update'
+);
+
+const collectionItemSchema = z.object({
+  content_id: z.string().min(1, 'content_id is required'),
+  position: z.number().int().min(0).optional()
+});
+
+const collectionOrderSchema = z.object({
+  content_ids: collectionContentIdsSchema
+});
+
+const collectionExportSchema = z.object({
+  format: z.enum(COLLECTION_EXPORT_FORMATS)
+});
+
+const collectionItemParamSchema = z.object({
+  id: z.string().min(1, 'ID is required'),
+  contentId: z.string().min(1, 'Content ID is required')
+});
+
 // Query schemas
+// Accepts ISO dates or timestamps; date-only upper bounds cover the whole day.
+// Produces SQLite timestamps, with milliseconds for columns that store them.
+const contentDateSchema = (endOfDay, milliseconds = false) => z.string()
+  .refine(val => !Number.isNaN(Date.parse(val)), 'Expected an ISO date or timestamp')
+  .transform(val => {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(val) && endOfDay
+      ? new Date(`${val}T23:59:59.999Z`)
+      : new Date(val);
+    return date.toISOString().replace('T', ' ').slice(0, milliseconds ? 23 : 19);
+  });
+
 const contentFiltersSchema = z.object({
-  limit: z.string().transform(val => parseInt(val)).pipe(z.number().min(1).max(config.get('validation.maxPageSize'))).default('20')
+  limit: z.coerce.number().int().min(1).max(config.get('validation.maxPageSize')).default(config.get('validation.defaultPageSize')),
+  cursor: z.string().optional(),
+  sort: z.enum(['created_at', 'title', 'year']).default('created_at'),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  from: contentDateSchema(false).optional(),
+  to: contentDateSchema(true).optional(),
+  year: z.coerce.number().int().optional(),
+  category: z.string().min(1).optional(),
+  parameter: z.string().min(1).optional(),
+  value: z.string().optional(),
+  include_content: z.enum(['true', 'false']).transform(val => val === 'true').optional()
+}).refine(
+  (data) => data.value === undefined || data.parameter !== undefined,
+  { message: 'value can only be used together with parameter', path: ['value'] }
+);
+
+const contentSearchSchema = z.object({
+  q: z.string().trim().min(1, 'Search query is required').max(config.get('validation.maxSearchQueryLength')),
+  limit: contentFiltersSchema.shape.limit,
+  cursor: z.string().optional()
+});
+
+const contentExportSchema = z.object({
+  format: z.enum(Object.keys(EXPORT_FORMATS))
+});
+
+// Sizes round up to the next allowed rendition size, so arbitrary sizes cannot each cost a resize
+const imageDimensionSchema = z.coerce.number().int().min(1).max(config.get('images.renditions.maxDimension'))
+  .transform(size => config.get('images.renditions.sizes').find(allowed => allowed >= size)
+    ?? config.get('images.renditions.maxDimension'));
+
+const imageRenditionQuerySchema = z.object({
+  w: imageDimensionSchema.optional(),
+  h: imageDimensionSchema.optional(),
+  fit: z.enum(['cover', 'contain', 'fill', 'inside', 'outside']).default('cover'),
+  format: z.enum(config.get('images.renditions.formats')).optional()
+});
+
+const categoryFiltersSchema = z.object({
+  visibility: z.enum(['Show', 'Hide']).optional()
 });
 
 const parameterFiltersSchema = z.object({
-  categoryId: z.string().optional()
+  categoryId: z.string().optional(),
+  visibility: z.enum(['Basic', 'Advanced', 'Hide']).optional()
+});
+
+// Settings schemas
+/**
+ * Value schema for a registered setting, from its data_type, integer, min, max and enum
+ */
+function settingValueSchema(setting) {
+  switch (setting.data_type) {
+    case 'boolean': return z.boolean();
+    case 'json': return z.any();
+    case 'number': {
+      let schema = setting.integer ? z.number().int() : z.number();
+      if (setting.min !== undefined) schema = schema.min(setting.min);
+      if (setting.max !== undefined) schema = schema.max(setting.max);
+      return schema;
+    }
+    default: return setting.enum ? z.enum(setting.enum) : z.string();
+  }
+}
+
+const settingsSchema = z.object(
+  Object.fromEntries(SETTINGS_REGISTRY.map(setting => [setting.key, settingValueSchema(setting).optional()]))
+);
+
+const settingsUpdateQuerySchema = z.object({
+  allow_unknown: z.enum(['true', 'false']).transform(val => val === 'true').optional()
+});
+
+const settingKeyParamSchema = z.object({
+  key: z.string().min(1, 'Setting key is required')
+});
+
+const settingsHistoryFiltersSchema = z.object({
+  key: z.string().min(1).optional(),
+  action: z.enum(SETTINGS_HISTORY_ACTIONS).optional(),
+  actor: z.string().min(1).optional(),
+  from: contentDateSchema(false, true).optional(),
+  to: contentDateSchema(true, true).optional(),
+  limit: z.coerce.number().int().min(1).max(config.get('validation.maxPageSize')).default(config.get('validation.defaultPageSize'))
 });
 
-const settingsSchema = z.record(z.any());
+const settingsRollbackSchema = z.object({
+  at: contentDateSchema(false, true)
+});
 
 // Common param schemas
 const idParamSchema = z.object({
   id: z.string().min(1, 'ID is required')
 });
 
+const clientKeyParamSchema = z.object({
+  clientKey: z.string().min(1, 'Client key is required')
+});
+
 const yearParamSchema = z.object({
   year: z.string().transform(val => parseInt(val)).pipe(z.number().int())
 });
@@ -154,6 +381,143 @@ app.use((req, res, next) => {
   next();
 });
 
+// Authentication
+/**
+ * Require a caller with at least the given role; a no-op while the enableAuth feature is off
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    if (!config.isFeatureEnabled('enableAuth')) return next();
+
+    try {
+      const principal = await authService.authenticate(req.headers);
+      if (!principal) {
+        throw boom.unauthorized('Authentication required', 'Bearer');
+      }
+      if (!authService.hasRole(principal.role, role)) {
+        throw boom.forbidden(`This action requires the ${role} role`);
+      }
+      req.auth = principal;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Maintenance mode
+// Reads keep working; settings and token routes stay open so maintenance can be switched off
+const MAINTENANCE_OPEN_ROUTES = ['/api/auth/token', '/api/admin/settings'];
+const MAINTENANCE_WRITE_ROUTES = ['/api/generate/stream'];
+
+/**
+ * Whether the request carries admin credentials; invalid credentials count as none
+ */
+async function isAdminRequest(req) {
+  try {
+    const principal = await authService.authenticate(req.headers);
+    return Boolean(principal) && authService.hasRole(principal.role, 'admin');
+  } catch {
+    return false;
+  }
+}
+
+app.use('/api/', async (req, res, next) => {
+  const route = req.originalUrl.split('?')[0];
+  const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !MAINTENANCE_WRITE_ROUTES.includes(route);
+  if (isRead || MAINTENANCE_OPEN_ROUTES.some(open => route === open || route.startsWith(`${open}/`))) return next();
+
+  try {
+    if (!await dataService.getMaintenanceMode() || await isAdminRequest(req)) return next();
+
+    const error = boom.serverUnavailable(config.get('maintenance.message'));
+    error.output.headers['Retry-After'] = String(config.get('maintenance.retryAfterSeconds'));
+    next(error);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generation quotas
+/**
+ * Identify the caller for generation quotas: the API key or token owner, otherwise the IP address
+ * X-Session-Id adds a session of that caller with its own max_generations_per_session count; the
+ * per-minute limit always applies to the caller, whatever session it names.
+ */
+async function getGenerationClient(req) {
+  let client = { key: `ip:${req.ip}`, type: 'ip' };
+  try {
+    const principal = await authService.authenticate(req.headers);
+    if (principal) client = { key: `api_key:${principal.id}`, type: 'api_key' };
+  } catch {
+    // Bad credentials are reported by the auth checks; the request still counts against its address
+  }
+
+  const sessionId = req.get('X-Session-Id');
+  if (!sessionId) return client;
+  if (sessionId.length > config.get('validation.maxSessionIdLength')) {
+    throw boom.badRequest(`X-Session-Id must be at most ${config.get('validation.maxSessionIdLength')} characters`);
+  }
+  return { ...client, sessionKey: `session:${sessionId}@${client.key}` };
+}
+
+/**
+ * Count a generation against the caller's rate_limit_per_minute and max_generations_per_session quotas
+ * Call once the request is validated. Sets X-RateLimit-* (per minute) and X-Quota-* (per session)
+ * headers and rejects with 429 once a quota is used up.
+ * @returns {Function} Gives the generation back; call it when the generation fails
+ */
+async function chargeGeneration(req, res) {
+  const client = await getGenerationClient(req);
+  const { allowed, limits, usage, session } = await dataService.consumeGenerationQuota(client);
+  const resetSeconds = Math.max(0, Math.ceil((usage.window_resets_at.getTime() - Date.now()) / 1000));
+
+  if (limits.perMinute) {
+    res.set({
+      'X-RateLimit-Limit': limits.perMinute,
+      'X-RateLimit-Remaining': Math.max(0, limits.perMinute - usage.window_count),
+      'X-RateLimit-Reset': resetSeconds
+    });
+  }
+  if (limits.perSession) {
+    res.set({
+      'X-Quota-Limit': limits.perSession,
+      'X-Quota-Remaining': Math.max(0, limits.perSession - session.total)
+    });
+  }
+
+  if (!allowed) {
+    if (limits.perSession && session.total >= limits.perSession) {
+      throw boom.tooManyRequests(`Generation quota of ${limits.perSession} per session used up`);
+    }
+    const error = boom.tooManyRequests(`No more than ${limits.perMinute} generations per minute, please try again later`);
+    error.output.headers['Retry-After'] = String(resetSeconds);
+    throw error;
+  }
+
+  return async () => {
+    try {
+      await dataService.refundGenerationQuota(client);
+    } catch (error) {
+      logger.error({ error: error.message, method: req.method, url: req.url });
+    }
+  };
+}
+
+/**
+ * Charge a generation, run it and give the generation back if it throws
+ * @param {Function} generate - Receives the refund, for work that reports failures without throwing
+ */
+async function withGenerationQuota(req, res, generate) {
+  const refund = await chargeGeneration(req, res);
+  try {
+    return await generate(refund);
+  } catch (error) {
+    await refund();
+    throw error;
+  }
+}
+
 // ==================== SWAGGER DOCUMENTATION ====================
 
 const swaggerOptions = {
@@ -172,10 +536,75 @@ const swaggerOptions = {
       }
     ],
     tags: [
+      { name: 'Auth', description: 'API keys and access tokens' },
       { name: 'Admin', description: 'Administrative operations' },
       { name: 'Content', description: 'Content generation and management' },
+      { name: 'Collections', description: 'Ordered collections of stories' },
       { name: 'System', description: 'System operations and monitoring' }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Stored API key or ADMIN_API_KEY. Roles: viewer reads admin data, editor also changes categories, parameters, prompts and content, admin also manages settings, API keys and the database.'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'HS256 token from POST /api/auth/token carrying the role of the key it was issued for. An API key is also accepted as a bearer credential.'
+        }
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing, invalid, revoked or expired credentials'
+        },
+        GenerationQuota: {
+          description: 'Generation quota used up (max_generations_per_session or rate_limit_per_minute); Retry-After is set for the per-minute limit. Requests are charged once validated and failed generations are given back',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the per-minute window resets' }
+          }
+        },
+        MaintenanceMode: {
+          description: 'The maintenance_mode setting is on; only reads and admin callers get through',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds before trying again' }
+          }
+        }
+      },
+      schemas: {
+        Collection: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string', example: 'Monsoon Futures' },
+            description: { type: 'string' },
+            item_count: { type: 'integer' },
+            cover_url: { type: 'string', nullable: true, example: '/api/collections/uuid-string/cover' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            items: {
+              type: 'array',
+              description: 'Stories in order (single collection responses only)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  title: { type: 'string' },
+                  excerpt: { type: 'string' },
+                  year: { type: 'integer', nullable: true },
+                  position: { type: 'integer', description: 'Zero-based place in the collection' },
+                  image_thumbnail_url: { type: 'string' },
+                  added_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
   },
   apis: ['./server.js']
 };
@@ -200,6 +629,84 @@ app.get('/', (req, res) => {
   });
 });
 
+// ==================== AUTH ROUTES ====================
+
+/**
+ * @swagger
+ * /api/auth/token:
+ *   post:
+ *     summary: Exchange an API key for a short-lived HS256 token
+ *     description: The token carries the key's role. Revoking the key also rejects the tokens issued for it.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expires_in:
+ *                 type: number
+ *                 minimum: 60
+ *                 description: Lifetime in seconds, at most AUTH_TOKEN_TTL_SECONDS
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     token_type:
+ *                       type: string
+ *                       example: "Bearer"
+ *                     expires_in:
+ *                       type: number
+ *                       example: 3600
+ *                     role:
+ *                       type: string
+ *                       example: "editor"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       501:
+ *         description: AUTH_JWT_SECRET is not set
+ */
+app.post('/api/auth/token', async (req, res, next) => {
+  try {
+    const { expires_in: expiresIn } = tokenRequestSchema.parse(req.body || {});
+    if (!config.get('security.auth.jwtSecret')) {
+      throw boom.notImplemented('Token authentication is not configured');
+    }
+
+    const principal = await authService.authenticate(req.headers);
+    if (!principal || principal.method !== 'api_key') {
+      throw boom.unauthorized('An API key is required to issue a token', 'Bearer');
+    }
+
+    const ttlSeconds = expiresIn || config.get('security.auth.tokenTtlSeconds');
+    res.json({
+      success: true,
+      data: {
+        token: authService.signToken(principal, ttlSeconds),
+        token_type: 'Bearer',
+        expires_in: ttlSeconds,
+        role: principal.role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==================== ADMIN ROUTES ====================
 
 /**
@@ -208,9 +715,23 @@ app.get('/', (req, res) => {
  *   get:
  *     summary: Get all categories
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: visibility
+ *         in: query
+ *         description: Only return categories with this visibility
+ *         schema:
+ *           type: string
+ *           enum: [Show, Hide]
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
- *         description: List of all visible categories
+ *         description: List of categories, hidden ones included unless filtered
  *         content:
  *           application/json:
  *             schema:
@@ -244,10 +765,23 @@ app.get('/', (req, res) => {
  *                       sort_order:
  *                         type: number
  *                         example: 0
+ *                       system_prompt:
+ *                         type: string
+ *                         nullable: true
+ *                       image_style:
+ *                         type: string
+ *                         nullable: true
+ *                       temperature:
+ *                         type: number
+ *                         nullable: true
+ *                       story_length:
+ *                         type: number
+ *                         nullable: true
  */
-app.get('/api/admin/categories', async (req, res, next) => {
+app.get('/api/admin/categories', requireRole('viewer'), async (req, res, next) => {
   try {
-    const categories = await dataService.getCategories();
+    const filters = categoryFiltersSchema.parse(req.query);
+    const categories = await dataService.getCategories(filters);
     res.json({ success: true, data: categories });
   } catch (error) {
     next(error);
@@ -260,6 +794,9 @@ app.get('/api/admin/categories', async (req, res, next) => {
  *   get:
  *     summary: Get category by ID
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -269,6 +806,10 @@ app.get('/api/admin/categories', async (req, res, next) => {
  *           type: string
  *         example: "science-fiction"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
  *         description: Category found
  *         content:
@@ -312,7 +853,7 @@ app.get('/api/admin/categories', async (req, res, next) => {
  *                   type: string
  *                   example: "Category with id science-fiction not found"
  */
-app.get('/api/admin/categories/:id', async (req, res, next) => {
+app.get('/api/admin/categories/:id', requireRole('viewer'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const category = await dataService.getCategoryById(id);
@@ -328,6 +869,9 @@ app.get('/api/admin/categories/:id', async (req, res, next) => {
  *   post:
  *     summary: Create a new category
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -352,9 +896,32 @@ app.get('/api/admin/categories/:id', async (req, res, next) => {
  *               year:
  *                 type: number
  *                 nullable: true
- *                 minimum: 1000
- *                 maximum: 9999
- *                 description: Optional year setting
+ *                 minimum: 1900
+ *                 maximum: 3000
+ *                 description: Default story year for generation requests that use this category and give no year
+ *               sort_order:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 0
+ *               system_prompt:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Fiction system prompt for stories using this category, in place of the global one
+ *               image_style:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Image style suffix for stories using this category, in place of the global one
+ *               temperature:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 2
+ *               story_length:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 50
+ *                 maximum: 5000
+ *                 description: Target story length in words
  *           examples:
  *             cyberpunk:
  *               summary: Cyberpunk Category
@@ -362,6 +929,8 @@ app.get('/api/admin/categories/:id', async (req, res, next) => {
  *                 name: "Cyberpunk"
  *                 description: "High tech, low life dystopian futures"
  *                 year: 2077
+ *                 image_style: "Neon-lit night scene, rain-slicked streets, cinematic lighting. No text."
+ *                 temperature: 0.9
  *             space-opera:
  *               summary: Space Opera Category
  *               value:
@@ -369,6 +938,10 @@ app.get('/api/admin/categories/:id', async (req, res, next) => {
  *                 description: "Epic adventures across the galaxy"
  *                 visibility: "Show"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       201:
  *         description: Category created successfully
  *         content:
@@ -405,7 +978,7 @@ app.get('/api/admin/categories/:id', async (req, res, next) => {
  *                   type: string
  *                   example: "Validation failed"
  */
-app.post('/api/admin/categories', async (req, res, next) => {
+app.post('/api/admin/categories', requireRole('editor'), async (req, res, next) => {
   try {
     const validatedData = categorySchema.parse(req.body);
     const category = await dataService.createCategory(validatedData);
@@ -421,6 +994,9 @@ app.post('/api/admin/categories', async (req, res, next) => {
  *   put:
  *     summary: Update a category
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -448,6 +1024,21 @@ app.post('/api/admin/categories', async (req, res, next) => {
  *               year:
  *                 type: number
  *                 nullable: true
+ *               sort_order:
+ *                 type: number
+ *                 minimum: 0
+ *               system_prompt:
+ *                 type: string
+ *                 nullable: true
+ *               image_style:
+ *                 type: string
+ *                 nullable: true
+ *               temperature:
+ *                 type: number
+ *                 nullable: true
+ *               story_length:
+ *                 type: number
+ *                 nullable: true
  *           examples:
  *             update-description:
  *               summary: Update Description
@@ -461,7 +1052,15 @@ app.post('/api/admin/categories', async (req, res, next) => {
  *               summary: Hide Category
  *               value:
  *                 visibility: "Hide"
+ *             clear-style:
+ *               summary: Use the global image style again
+ *               value:
+ *                 image_style: null
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       200:
  *         description: Category updated successfully
  *         content:
@@ -480,7 +1079,7 @@ app.post('/api/admin/categories', async (req, res, next) => {
  *       400:
  *         description: Validation failed
  */
-app.put('/api/admin/categories/:id', async (req, res, next) => {
+app.put('/api/admin/categories/:id', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const updates = categoryUpdateSchema.parse(req.body);
@@ -497,6 +1096,9 @@ app.put('/api/admin/categories/:id', async (req, res, next) => {
  *   delete:
  *     summary: Delete category and its parameters
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -506,6 +1108,10 @@ app.put('/api/admin/categories/:id', async (req, res, next) => {
  *           type: string
  *         example: "cyberpunk"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       200:
  *         description: Category deleted successfully
  *         content:
@@ -533,7 +1139,7 @@ app.put('/api/admin/categories/:id', async (req, res, next) => {
  *                   type: string
  *                   example: "Category with id cyberpunk not found"
  */
-app.delete('/api/admin/categories/:id', async (req, res, next) => {
+app.delete('/api/admin/categories/:id', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const result = await dataService.deleteCategory(id);
@@ -548,8 +1154,11 @@ app.delete('/api/admin/categories/:id', async (req, res, next) => {
  * @swagger
  * /api/admin/parameters:
  *   get:
- *     summary: Get all parameters or filter by categoryId
+ *     summary: Get all parameters or filter by categoryId and visibility
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: categoryId
  *         in: query
@@ -557,7 +1166,17 @@ app.delete('/api/admin/categories/:id', async (req, res, next) => {
  *         schema:
  *           type: string
  *         example: "science-fiction"
+ *       - name: visibility
+ *         in: query
+ *         description: Filter parameters by visibility, e.g. to build Basic and Advanced forms
+ *         schema:
+ *           type: string
+ *           enum: [Basic, Advanced, Hide]
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
  *         description: List of parameters
  *         content:
@@ -586,12 +1205,23 @@ app.delete('/api/admin/categories/:id', async (req, res, next) => {
  *                       parameter_values:
  *                         type: array
  *                         example: [{"label": "Basic", "id": "basic"}, {"label": "Advanced AI", "id": "advanced-ai"}]
+ *                       parameter_config:
+ *                         type: object
+ *                         nullable: true
+ *                         example: {"min": 1, "max": 10, "step": 1}
+ *                       visibility:
+ *                         type: string
+ *                         enum: [Basic, Advanced, Hide]
+ *                         example: "Basic"
  *                       required:
  *                         type: boolean
  *                         example: false
  *   post:
  *     summary: Create a new parameter
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -624,9 +1254,21 @@ app.delete('/api/admin/categories/:id', async (req, res, next) => {
  *               parameter_values:
  *                 type: array
  *                 description: For select type parameters
+ *               sort_order:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 0
  *               parameter_config:
  *                 type: object
  *                 description: Additional configuration (min/max for numbers, etc.)
+ *                 properties:
+ *                   min:
+ *                     type: number
+ *                   max:
+ *                     type: number
+ *                   step:
+ *                     type: number
+ *                     exclusiveMinimum: 0
  *           examples:
  *             select-parameter:
  *               summary: Dropdown Selection Parameter
@@ -657,17 +1299,19 @@ app.delete('/api/admin/categories/:id', async (req, res, next) => {
  *                 description: "Custom setting description"
  *                 required: false
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       201:
  *         description: Parameter created successfully
  *       400:
  *         description: Validation failed
  */
-app.get('/api/admin/parameters', async (req, res, next) => {
+app.get('/api/admin/parameters', requireRole('viewer'), async (req, res, next) => {
   try {
-    const { categoryId } = parameterFiltersSchema.parse(req.query);
-    const parameters = categoryId 
-      ? await dataService.getParametersByCategory(categoryId)
-      : await dataService.getParameters();
+    const filters = parameterFiltersSchema.parse(req.query);
+    const parameters = await dataService.getParameters(filters);
     res.json({ success: true, data: parameters });
   } catch (error) {
     next(error);
@@ -680,6 +1324,9 @@ app.get('/api/admin/parameters', async (req, res, next) => {
  *   get:
  *     summary: Get parameter by ID
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -689,6 +1336,10 @@ app.get('/api/admin/parameters', async (req, res, next) => {
  *           type: string
  *         example: "sci-fi-tech-level"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
  *         description: Parameter found
  *         content:
@@ -717,7 +1368,7 @@ app.get('/api/admin/parameters', async (req, res, next) => {
  *       404:
  *         description: Parameter not found
  */
-app.get('/api/admin/parameters/:id', async (req, res, next) => {
+app.get('/api/admin/parameters/:id', requireRole('viewer'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const parameter = await dataService.getParameterById(id);
@@ -727,7 +1378,7 @@ app.get('/api/admin/parameters/:id', async (req, res, next) => {
   }
 });
 
-app.post('/api/admin/parameters', async (req, res, next) => {
+app.post('/api/admin/parameters', requireRole('editor'), async (req, res, next) => {
   try {
     const validatedData = parameterSchema.parse(req.body);
     const parameter = await dataService.createParameter(validatedData);
@@ -743,6 +1394,9 @@ app.post('/api/admin/parameters', async (req, res, next) => {
  *   put:
  *     summary: Update a parameter
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -767,9 +1421,18 @@ app.post('/api/admin/parameters', async (req, res, next) => {
  *               visibility:
  *                 type: string
  *                 enum: [Basic, Advanced, Hide]
+ *               required:
+ *                 type: boolean
+ *               sort_order:
+ *                 type: number
+ *                 minimum: 0
  *               parameter_values:
  *                 type: array
  *                 description: For select type parameters
+ *               parameter_config:
+ *                 type: object
+ *                 nullable: true
+ *                 description: min/max/step for number and range parameters; null clears it
  *           examples:
  *             update-values:
  *               summary: Update Parameter Values
@@ -784,12 +1447,16 @@ app.post('/api/admin/parameters', async (req, res, next) => {
  *               value:
  *                 visibility: "Advanced"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       200:
  *         description: Parameter updated successfully
  *       404:
  *         description: Parameter not found
  */
-app.put('/api/admin/parameters/:id', async (req, res, next) => {
+app.put('/api/admin/parameters/:id', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const updates = parameterUpdateSchema.parse(req.body);
@@ -806,6 +1473,9 @@ app.put('/api/admin/parameters/:id', async (req, res, next) => {
  *   delete:
  *     summary: Delete a parameter
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -815,6 +1485,10 @@ app.put('/api/admin/parameters/:id', async (req, res, next) => {
  *           type: string
  *         example: "old-parameter-id"
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       200:
  *         description: Parameter deleted successfully
  *         content:
@@ -831,7 +1505,7 @@ app.put('/api/admin/parameters/:id', async (req, res, next) => {
  *       404:
  *         description: Parameter not found
  */
-app.delete('/api/admin/parameters/:id', async (req, res, next) => {
+app.delete('/api/admin/parameters/:id', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
     const result = await dataService.deleteParameter(id);
@@ -841,16 +1515,33 @@ app.delete('/api/admin/parameters/:id', async (req, res, next) => {
   }
 });
 
-// Settings
+// Prompt templates
 /**
  * @swagger
- * /api/admin/settings:
+ * /api/admin/prompts:
  *   get:
- *     summary: Get all settings
+ *     summary: List prompt template versions
+ *     description: |
+ *       Templates override the built-in generation wording while one of their versions is active.
+ *       Bodies may use {{year}}, {{categories}}, {{parameters}} and {{<parameter-id>}} placeholders.
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: name
+ *         in: query
+ *         description: Only return versions of this template
+ *         schema:
+ *           type: string
+ *           enum: [fiction_system, fiction_prompt, image_suffix]
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
- *         description: System settings
+ *         description: Template versions, newest first within each name
  *         content:
  *           application/json:
  *             schema:
@@ -860,41 +1551,287 @@ app.delete('/api/admin/parameters/:id', async (req, res, next) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   example:
- *                     app_version: "2.0.0"
- *                     max_generations_per_session: 50
- *                     enable_image_generation: true
- *                     rate_limit_per_minute: 10
- *   put:
- *     summary: Update system settings
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         example: "fiction_prompt"
+ *                       version:
+ *                         type: number
+ *                         example: 2
+ *                       body:
+ *                         type: string
+ *                         example: "Write a {{categories}} story set in {{year}}.\n{{parameters}}"
+ *                       description:
+ *                         type: string
+ *                       is_active:
+ *                         type: boolean
+ *                         example: true
+ *   post:
+ *     summary: Create a new version of a prompt template
+ *     description: Versions are numbered per name. New versions are inactive until activated.
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             additionalProperties: true
+ *             required:
+ *               - name
+ *               - body
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 enum: [fiction_system, fiction_prompt, image_suffix]
+ *               body:
+ *                 type: string
+ *                 maxLength: 10000
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
  *           examples:
- *             rate-limits:
- *               summary: Update Rate Limits
- *               value:
- *                 max_generations_per_session: 25
- *                 rate_limit_per_minute: 5
- *             features:
- *               summary: Toggle Features
+ *             fiction-prompt:
+ *               summary: Story prompt
  *               value:
- *                 enable_image_generation: false
- *                 maintenance_mode: true
- *             new-setting:
- *               summary: Add New Setting
+ *                 name: "fiction_prompt"
+ *                 body: "Write a {{categories}} story set in the year {{year}}.\n{{parameters}}\nInclude a compelling title."
+ *             image-suffix:
+ *               summary: Image style
  *               value:
- *                 custom_prompt_prefix: "Generate a story about"
- *                 max_story_length: 2000
+ *                 name: "image_suffix"
+ *                 body: "Watercolour illustration, {{categories}} mood."
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       201:
+ *         description: Template version created
+ *       400:
+ *         description: Validation failed
+ */
+app.get('/api/admin/prompts', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const filters = promptTemplateFiltersSchema.parse(req.query);
+    const templates = await dataService.getPromptTemplates(filters);
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/prompts', requireRole('editor'), async (req, res, next) => {
+  try {
+    const validatedData = promptTemplateSchema.parse(req.body);
+    const template = await dataService.createPromptTemplate(validatedData);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompts/{id}:
+ *   get:
+ *     summary: Get a prompt template version
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
  *       200:
- *         description: Settings updated successfully
+ *         description: Template version found
+ *       404:
+ *         description: Template not found
+ *   put:
+ *     summary: Update a prompt template description
+ *     description: Bodies are immutable so recorded versions stay accurate; create a new version to change the wording.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       200:
+ *         description: Template updated
+ *       404:
+ *         description: Template not found
+ *   delete:
+ *     summary: Delete an inactive prompt template version
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Template is active
+ */
+app.get('/api/admin/prompts/:id', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const template = await dataService.getPromptTemplateById(id);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/admin/prompts/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const updates = promptTemplateUpdateSchema.parse(req.body);
+    const template = await dataService.updatePromptTemplate(id, updates);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/admin/prompts/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const result = await dataService.deletePromptTemplate(id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompts/{id}/activate:
+ *   post:
+ *     summary: Make this version the active one for its template name
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       200:
+ *         description: Version activated; any other version of the same name is deactivated
+ *       404:
+ *         description: Template not found
+ * /api/admin/prompts/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate this version so the built-in wording is used again
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       200:
+ *         description: Version deactivated
+ *       404:
+ *         description: Template not found
+ */
+app.post('/api/admin/prompts/:id/activate', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const template = await dataService.activatePromptTemplate(id);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/prompts/:id/deactivate', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const template = await dataService.deactivatePromptTemplate(id);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API keys
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Only key prefixes are returned; stored keys are hashed.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
  *         content:
  *           application/json:
  *             schema:
@@ -904,56 +1841,2206 @@ app.delete('/api/admin/parameters/:id', async (req, res, next) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   description: Updated settings object
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         example: "Admin dashboard"
+ *                       key_prefix:
+ *                         type: string
+ *                         example: "sg_Xy12abC"
+ *                       role:
+ *                         type: string
+ *                         enum: [viewer, editor, admin]
+ *                       last_used_at:
+ *                         type: string
+ *                         nullable: true
+ *                       revoked_at:
+ *                         type: string
+ *                         nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ *   post:
+ *     summary: Create an API key
+ *     description: The plain key is returned in this response only.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *           example:
+ *             name: "Content editor"
+ *             role: "editor"
+ *     responses:
+ *       201:
+ *         description: Key created; store the returned key, it cannot be shown again
  *       400:
- *         description: Invalid setting values
- *       500:
- *         description: Server error updating settings
+ *         description: Validation failed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
  */
-app.get('/api/admin/settings', async (req, res, next) => {
+app.get('/api/admin/api-keys', requireRole('admin'), async (req, res, next) => {
   try {
-    const settings = await dataService.getSettings();
-    res.json({ success: true, data: settings });
+    const keys = await dataService.getApiKeys();
+    res.json({ success: true, data: keys });
   } catch (error) {
     next(error);
   }
 });
 
-app.put('/api/admin/settings', async (req, res, next) => {
+app.post('/api/admin/api-keys', requireRole('admin'), async (req, res, next) => {
   try {
-    // Simple validation - just check it's an object
-    if (!req.body || typeof req.body !== 'object') {
-      throw boom.badRequest('Request body must be an object');
-    }
-    
-    const validatedData = req.body;
-    
-    for (const [key, value] of Object.entries(validatedData)) {
-      // Auto-detect data type
-      let dataType = 'string';
-      if (typeof value === 'number') dataType = 'number';
-      else if (typeof value === 'boolean') dataType = 'boolean';
-      else if (typeof value === 'object') dataType = 'json';
-      
-      await dataService.setSetting(key, value, dataType);
-    }
-    
-    const settings = await dataService.getSettings();
-    res.json({ success: true, data: settings });
+    const validatedData = apiKeySchema.parse(req.body);
+    const key = await authService.createApiKey(validatedData);
+    res.status(201).json({ success: true, data: key });
   } catch (error) {
     next(error);
   }
 });
 
-// ==================== CONTENT ROUTES ====================
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stays listed with its revoked_at time. Revoking the key also rejects the tokens issued for it.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: API key not found
+ */
+app.delete('/api/admin/api-keys/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const key = await dataService.revokeApiKey(id);
+    res.json({ success: true, data: key });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Settings
 /**
  * @swagger
- * /api/generate:
- *   post:
- *     summary: Generate combined fiction and image content
- *     tags: [Content]
+ * /api/admin/settings:
+ *   get:
+ *     summary: Get all settings
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
+ *       200:
+ *         description: System settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     app_version: "2.0.0"
+ *                     max_generations_per_session: 50
+ *                     enable_image_generation: true
+ *                     rate_limit_per_minute: 10
+ *   put:
+ *     summary: Update system settings
+ *     description: |
+ *       Values are checked against the settings registry (GET /api/admin/settings/schema). Keys outside
+ *       the registry are rejected unless `allow_unknown=true` is passed; their type is then taken from the
+ *       JSON value. No more than `validation.maxSettingsKeys` settings can be sent or stored.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: allow_unknown
+ *         in: query
+ *         description: Store keys that are not in the settings registry
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: true
+ *           examples:
+ *             rate-limits:
+ *               summary: Update Rate Limits
+ *               value:
+ *                 max_generations_per_session: 25
+ *                 rate_limit_per_minute: 5
+ *             features:
+ *               summary: Toggle Features
+ *               value:
+ *                 enable_image_generation: false
+ *                 maintenance_mode: true
+ *             new-setting:
+ *               summary: Add New Setting (with allow_unknown=true)
+ *               value:
+ *                 custom_prompt_prefix: "Generate a story about"
+ *                 max_story_length: 2000
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ *       200:
+ *         description: Settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   description: Updated settings object
+ *       400:
+ *         description: Invalid setting values, unknown keys, or too many settings
+ *       500:
+ *         description: Server error updating settings
+ */
+app.get('/api/admin/settings', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const settings = await dataService.getSettings();
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Storage type for a setting outside the registry, taken from its JSON value
+ */
+function guessSettingType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object') return 'json';
+  return 'string';
+}
+
+app.put('/api/admin/settings', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { allow_unknown: allowUnknown } = settingsUpdateQuerySchema.parse(req.query);
+    const maxKeys = config.get('validation.maxSettingsKeys');
+    const values = (allowUnknown ? settingsSchema.catchall(z.any()) : settingsSchema.strict())
+      .refine(data => Object.keys(data).length <= maxKeys, `No more than ${maxKeys} settings can be updated at once`)
+      .parse(req.body);
+
+    const types = Object.fromEntries(SETTINGS_REGISTRY.map(setting => [setting.key, setting.data_type]));
+    await dataService.updateSettings(
+      Object.entries(values).map(([key, value]) => ({ key, value, dataType: types[key] || guessSettingType(value) })),
+      req.auth
+    );
+
+    const settings = await dataService.getSettings();
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/schema:
+ *   get:
+ *     summary: Describe every known setting
+ *     description: The settings registry, for rendering settings forms. Each entry has its type, default, limits and whether a restart is needed.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "rate_limit_per_minute"
+ *                       data_type:
+ *                         type: string
+ *                         enum: [string, number, boolean, json]
+ *                       default:
+ *                         example: 10
+ *                       integer:
+ *                         type: boolean
+ *                       min:
+ *                         type: number
+ *                       max:
+ *                         type: number
+ *                       enum:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       description:
+ *                         type: string
+ *                       restart_required:
+ *                         type: boolean
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
+ */
+app.get('/api/admin/settings/schema', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, data: SETTINGS_REGISTRY });
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/{key}:
+ *   delete:
+ *     summary: Reset a setting
+ *     description: A registered setting goes back to its default; a setting outside the registry is removed.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: key
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "rate_limit_per_minute"
+ *     responses:
+ *       200:
+ *         description: Setting reset; returns all settings
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Setting not found
+ */
+app.delete('/api/admin/settings/:key', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { key } = settingKeyParamSchema.parse(req.params);
+    await dataService.resetSetting(key, req.auth);
+    const settings = await dataService.getSettings();
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/history:
+ *   get:
+ *     summary: List settings changes
+ *     description: |
+ *       Every settings write with the old and new value, newest first. The actor is the API key or token
+ *       owner that made the change, or null while authentication is off.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: key
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [update, reset, delete, rollback]
+ *       - name: actor
+ *         in: query
+ *         description: actor_id of the change (API key id, or "bootstrap" for ADMIN_API_KEY)
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         description: Earliest change, as an ISO date or timestamp
+ *         schema:
+ *           type: string
+ *       - name: to
+ *         in: query
+ *         description: Latest change; a date-only value covers the whole day
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Settings changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       key:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [update, reset, delete, rollback]
+ *                       old_value:
+ *                         nullable: true
+ *                         description: Null when the setting did not exist before
+ *                       new_value:
+ *                         nullable: true
+ *                         description: Null when the setting was removed
+ *                       actor_id:
+ *                         type: string
+ *                         nullable: true
+ *                       actor_name:
+ *                         type: string
+ *                         nullable: true
+ *                       changed_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role
+ */
+app.get('/api/admin/settings/history', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const filters = settingsHistoryFiltersSchema.parse(req.query);
+    const history = await dataService.getSettingsHistory(filters);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/rollback:
+ *   post:
+ *     summary: Restore settings as they were at a point in time
+ *     description: |
+ *       Every setting changed after `at` gets back the value it had then, and settings created after `at`
+ *       are removed. The restores are recorded in the history with action rollback, so a rollback can
+ *       itself be rolled back.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [at]
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 description: ISO timestamp, such as the changed_at of a history entry
+ *                 example: "2025-01-15T10:30:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Settings restored; returns all settings and the restored keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 restored:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid timestamp, or the restored settings would exceed validation.maxSettingsKeys
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ */
+app.post('/api/admin/settings/rollback', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { at } = settingsRollbackSchema.parse(req.body || {});
+    const restored = await dataService.rollbackSettings(at, req.auth);
+    const settings = await dataService.getSettings();
+    res.json({ success: true, restored, data: settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generation usage
+/**
+ * @swagger
+ * /api/admin/usage:
+ *   get:
+ *     summary: List generation usage per client
+ *     description: |
+ *       Counters behind the max_generations_per_session and rate_limit_per_minute settings, most recently
+ *       active first. Clients are keyed as `api_key:<key id>` or `ip:<address>` and count generations per
+ *       minute; sessions named with X-Session-Id are keyed as `session:<X-Session-Id>@<client key>`. The
+ *       session total is kept on the session row, or on the client row when no session is named.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage per client and the limits currently in force
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 limits:
+ *                   type: object
+ *                   properties:
+ *                     max_generations_per_session:
+ *                       type: integer
+ *                       nullable: true
+ *                     rate_limit_per_minute:
+ *                       type: integer
+ *                       nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       client_key:
+ *                         type: string
+ *                         example: "session:3f2a9c@ip:203.0.113.7"
+ *                       client_type:
+ *                         type: string
+ *                         enum: [session, api_key, ip]
+ *                       total:
+ *                         type: integer
+ *                       window_count:
+ *                         type: integer
+ *                       window_started_at:
+ *                         type: string
+ *                         format: date-time
+ *                       window_resets_at:
+ *                         type: string
+ *                         format: date-time
+ *                       session_started_at:
+ *                         type: string
+ *                         format: date-time
+ *                       session_expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Reset generation usage for every client
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters cleared; data.deleted is the number of clients reset
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ */
+app.get('/api/admin/usage', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const [usage, limits] = await Promise.all([dataService.getGenerationUsage(), dataService.getGenerationLimits()]);
+    res.json({
+      success: true,
+      limits: { max_generations_per_session: limits.perSession, rate_limit_per_minute: limits.perMinute },
+      data: usage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/admin/usage', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await dataService.resetGenerationUsage() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/usage/{clientKey}:
+ *   delete:
+ *     summary: Reset generation usage for one client
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: clientKey
+ *         in: path
+ *         required: true
+ *         description: Client key as listed by GET /api/admin/usage, URL-encoded
+ *         schema:
+ *           type: string
+ *         example: "ip%3A127.0.0.1"
+ *     responses:
+ *       200:
+ *         description: Counters cleared
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: No usage recorded for the client
+ */
+app.delete('/api/admin/usage/:clientKey', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { clientKey } = clientKeyParamSchema.parse(req.params);
+    res.json({ success: true, data: await dataService.resetGenerationUsage(clientKey) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== CONTENT ROUTES ====================
+
+/**
+ * Validate and fill in the request shared by every generation route
+ * Parameters are checked against the catalogue and replaced with their canonical values;
+ * a request without a year takes the year of the first category in parameters, in request order, that has one.
+ * includeImage is false when the request asks for text only or the enable_image_generation setting is off.
+ */
+async function resolveGenerationRequest({ parameters, year, include_image: includeImage = true }) {
+  const resolved = await dataService.resolveGenerationParameters(parameters);
+  if (resolved.issues.length > 0) {
+    throw new ZodError(resolved.issues);
+  }
+
+  return {
+    parameters: resolved.parameters,
+    year: year ?? await dataService.getDefaultYearForCategories(Object.keys(resolved.parameters)),
+    includeImage: includeImage && await dataService.isImageGenerationEnabled()
+  };
+}
+
+async function assertImageGenerationEnabled() {
+  if (!await dataService.isImageGenerationEnabled()) {
+    throw boom.forbidden('Image generation is turned off by the enable_image_generation setting');
+  }
+}
+
+/**
+ * Draw a new image for a saved story and store it; any current image is kept in the image history
+ */
+async function generateContentImage(content, style) {
+  await assertImageGenerationEnabled();
+  const image = await aiService.generateImage(content.year, content.fiction_content, { parameters: content.prompt_data, style });
+  if (!image.imageBlob) {
+    throw boom.internal('Image processing is not available, so the stored image cannot be replaced');
+  }
+  await dataService.replaceContentImage(content.id, image);
+}
+
+/**
+ * Pagination block for content listings; pass next_cursor back as cursor with the same sort and filters
+ */
+function buildPagination(filters, page) {
+  return {
+    total: page.total,
+    limit: filters.limit,
+    sort: filters.sort,
+    order: filters.order,
+    next_cursor: page.nextCursor
+  };
+}
+
+/**
+ * Run a generation and report it to the client as Server-Sent Events
+ * Events: token (story text fragments), title, image_ready (left out for text-only stories), saved, error
+ */
+async function streamGeneration(req, res, parameters, year, { includeImage = true, onError = null } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let clientConnected = true;
+  res.on('close', () => { clientConnected = false; });
+
+  const sendEvent = (event, data) => {
+    if (!clientConnected) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const fictionResult = await aiService.streamFiction(parameters, year, (text) => {
+      sendEvent('token', { text });
+    });
+    sendEvent('title', { title: fictionResult.title, wordCount: fictionResult.wordCount });
+
+    let imageResult = null;
+    if (includeImage) {
+      imageResult = await aiService.generateImage(year, fictionResult.content, { parameters });
+      sendEvent('image_ready', {
+        format: imageResult.imageFormat || null,
+        sizeBytes: imageResult.imageSizeBytes || 0,
+        imageUrl: imageResult.imageUrl || null
+      });
+    }
+
+    const result = aiService.combineResults(fictionResult, imageResult);
+    const savedContent = await dataService.saveGenerationResult(result, parameters, year);
+    const apiContent = await dataService.getGeneratedContentForApi(savedContent.id);
+    sendEvent('saved', apiContent);
+  } catch (error) {
+    logger.error({
+      error: error.message,
+      method: req.method,
+      url: req.url
+    });
+    sendEvent('error', {
+      error: boom.isBoom(error) ? error.output.payload.message : 'Internal Server Error'
+    });
+    if (onError) await onError(error);
+  }
+
+  res.end();
+}
+
+/**
+ * Send an image with its validators, answering conditional requests with 304 before the image is loaded
+ * Versioned URLs (?v= matching the current version) are cached for a year; other URLs are revalidated.
+ * A single byte range is answered with 206; several ranges get the whole image.
+ * @param {object} image - { etag, lastModified, version, contentType, load } where load resolves to the Buffer
+ */
+async function sendImage(req, res, { etag, lastModified, version, contentType, load }) {
+  res.set({
+    'Cache-Control': version && req.query.v === version ? 'public, max-age=31536000, immutable' : 'public, no-cache',
+    'ETag': `"${etag}"`,
+    'Last-Modified': lastModified.toUTCString()
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let buffer;
+  try {
+    buffer = await load();
+    if (!buffer) throw boom.notFound('Image not found');
+  } catch (error) {
+    // Error responses must not be cached as the image
+    ['Cache-Control', 'ETag', 'Last-Modified'].forEach(name => res.removeHeader(name));
+    throw error;
+  }
+  res.set({ 'Content-Type': contentType, 'Accept-Ranges': 'bytes' });
+
+  // If-Range holds the ETag or Last-Modified of the copy the client already has part of
+  const ifRange = req.get('If-Range');
+  const rangeMatches = !ifRange || (ifRange.startsWith('"') || ifRange.startsWith('W/')
+    ? ifRange === res.get('ETag')
+    : lastModified.getTime() <= Date.parse(ifRange));
+  const ranges = rangeMatches ? req.range(buffer.length, { combine: true }) : undefined;
+
+  if (ranges === -1) {
+    return res.status(416).set('Content-Range', `bytes */${buffer.length}`).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206).set({
+      'Content-Range': `bytes ${start}-${end}/${buffer.length}`,
+      'Content-Length': end - start + 1
+    });
+    return res.send(buffer.subarray(start, end + 1));
+  }
+
+  res.set('Content-Length', buffer.length);
+  res.send(buffer);
+}
+
+/**
+ * @swagger
+ * /api/generate:
+ *   post:
+ *     summary: Generate combined fiction and image content
+ *     tags: [Content]
+ *     parameters:
+ *       - name: X-Session-Id
+ *         in: header
+ *         description: Session of the API key or IP address with its own max_generations_per_session count; the per-minute limit applies to the key or address
+ *         schema:
+ *           type: string
+ *           maxLength: 128
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parameters:
+ *                 type: object
+ *                 description: |
+ *                   Parameter values keyed by category ID, then parameter ID.
+ *                   Each value is checked against the parameter type: select values must match a
+ *                   parameter_values label or id, number and range values must respect parameter_config
+ *                   min/max/step, and boolean values are true/false or the on/off labels.
+ *                   Required parameters of every referenced category must be given.
+ *               year:
+ *                 type: number
+ *                 description: Optional year setting for the story; defaults to the year of the first category in `parameters`, in request order, that has one
+ *                 example: 2150
+ *               include_image:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to save the story without an image; always false while the enable_image_generation setting is off. An image can be added later with POST /api/content/{id}/image
+ *               async:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Queue the generation as a background job and return 202 with the job instead of waiting
+ *           examples:
+ *             science-fiction:
+ *               summary: Science Fiction Story
+ *               value:
+ *                 parameters:
+ *                   science-fiction:
+ *                     sci-fi-tech-level: "Advanced Technology"
+ *                 year: 2150
+ *             fantasy:
+ *               summary: Fantasy Story
+ *               value:
+ *                 parameters:
+ *                   fantasy:
+ *                     fantasy-magic-system: "elemental"
+ *                     story-length: "Short (100-500 words)"
+ *     responses:
+ *       201:
+ *         description: Content generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: "uuid-string"
+ *                     title:
+ *                       type: string
+ *                       example: "The Quantum Paradox"
+ *                     fiction_content:
+ *                       type: string
+ *                       example: "In the year 2150, Dr. Sarah Chen discovered..."
+ *                     image_original_url:
+ *                       type: string
+ *                       example: "/api/images/uuid-string/original?v=9f86d081884c7d65"
+ *                     image_thumbnail_url:
+ *                       type: string
+ *                       example: "/api/images/uuid-string/thumbnail?v=2c26b46b68ffc68f"
+ *                     prompt_data:
+ *                       type: object
+ *                       description: Canonical parameter values used to generate this content (select values become their labels)
+ *                     metadata:
+ *                       type: object
+ *                       description: Generation metadata (model info, tokens, etc.)
+ *       202:
+ *         description: Generation job queued (async requests); poll the URL in the Location header
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: Job status URL, e.g. /api/generate/jobs/{id}
+ *       400:
+ *         description: Validation failed; details lists each rejected parameter with its path
+ *       429:
+ *         $ref: '#/components/responses/GenerationQuota'
+ *       503:
+ *         $ref: '#/components/responses/MaintenanceMode'
+ *       500:
+ *         description: Generation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "OpenAI API key not configured"
+ */
+app.post('/api/generate', async (req, res, next) => {
+  try {
+    const validatedData = generationRequestSchema.parse(req.body);
+    const { parameters, year, includeImage } = await resolveGenerationRequest(validatedData);
+
+    await withGenerationQuota(req, res, async (refund) => {
+      if (validatedData.async) {
+        const job = await generationQueue.enqueue(parameters, year, { includeImage, onFailure: refund });
+        return res
+          .status(202)
+          .location(`/api/generate/jobs/${job.id}`)
+          .json({ success: true, data: job });
+      }
+
+      if (req.get('Accept')?.includes('text/event-stream')) {
+        return await streamGeneration(req, res, parameters, year, { includeImage, onError: refund });
+      }
+
+      const result = await aiService.generate(parameters, year, { includeImage });
+
+      if (!result.success) {
+        throw boom.internal(result.error);
+      }
+
+      const savedContent = await dataService.saveGenerationResult(result, parameters, year);
+      const apiContent = await dataService.getGeneratedContentForApi(savedContent.id);
+
+      res.status(201).json({ 
+        success: true, 
+        data: apiContent
+      });
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate/stream:
+ *   get:
+ *     summary: Generate content and stream progress as Server-Sent Events
+ *     description: |
+ *       Streams the story text as it is written, then reports each remaining stage.
+ *       POST /api/generate with an `Accept: text/event-stream` header behaves the same way.
+ *
+ *       Events:
+ *       - `token` - `{ text }` fragment of the story
+ *       - `title` - `{ title, wordCount }` once the story is complete
+ *       - `image_ready` - `{ format, sizeBytes, imageUrl }` once the image is processed (not sent for text-only stories)
+ *       - `saved` - the stored content item, as returned by GET /api/content/{id}
+ *       - `error` - `{ error }` if any stage fails; the stream then ends
+ *     tags: [Content]
+ *     parameters:
+ *       - name: parameters
+ *         in: query
+ *         description: Generation parameters as a JSON object
+ *         schema:
+ *           type: string
+ *         example: '{"science-fiction":{"sci-fi-tech-level":"Advanced Technology"}}'
+ *       - name: year
+ *         in: query
+ *         description: Optional year setting for the story
+ *         schema:
+ *           type: integer
+ *         example: 2150
+ *       - name: include_image
+ *         in: query
+ *         description: Set to false to skip the image and the image_ready event
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation failed
+ *       429:
+ *         $ref: '#/components/responses/GenerationQuota'
+ *       503:
+ *         $ref: '#/components/responses/MaintenanceMode'
+ */
+app.get('/api/generate/stream', async (req, res, next) => {
+  try {
+    const { parameters, year, includeImage } = await resolveGenerationRequest(generationStreamQuerySchema.parse(req.query));
+    await withGenerationQuota(req, res, (refund) =>
+      streamGeneration(req, res, parameters, year, { includeImage, onError: refund })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate/jobs/{id}:
+ *   get:
+ *     summary: Get the status of an asynchronous generation job
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Job ID returned by POST /api/generate with async set
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current job state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, succeeded, failed]
+ *                     stage:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [fiction, image, thumbnail, saving]
+ *                     progress:
+ *                       type: number
+ *                       example: 50
+ *                     content_id:
+ *                       type: string
+ *                       nullable: true
+ *                     content_url:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "/api/content/123e4567-e89b-12d3-a456-426614174000"
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *       404:
+ *         description: Job not found
+ */
+app.get('/api/generate/jobs/:id', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const job = await dataService.getGenerationJobById(id);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ContentLimit:
+ *       name: limit
+ *       in: query
+ *       description: Number of items to return (max 100)
+ *       schema:
+ *         type: number
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     ContentCursor:
+ *       name: cursor
+ *       in: query
+ *       description: next_cursor from the previous page; keep sort, order and filters unchanged
+ *       schema:
+ *         type: string
+ *     ContentSort:
+ *       name: sort
+ *       in: query
+ *       schema:
+ *         type: string
+ *         enum: [created_at, title, year]
+ *         default: created_at
+ *     ContentOrder:
+ *       name: order
+ *       in: query
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *     ContentFrom:
+ *       name: from
+ *       in: query
+ *       description: Created at or after this ISO date or timestamp (UTC)
+ *       schema:
+ *         type: string
+ *       example: "2025-01-01"
+ *     ContentTo:
+ *       name: to
+ *       in: query
+ *       description: Created at or before this ISO date or timestamp (UTC); a date covers the whole day
+ *       schema:
+ *         type: string
+ *       example: "2025-01-31"
+ *     ContentYear:
+ *       name: year
+ *       in: query
+ *       description: Story year
+ *       schema:
+ *         type: number
+ *     ContentCategory:
+ *       name: category
+ *       in: query
+ *       description: Only content generated with this category ID
+ *       schema:
+ *         type: string
+ *       example: "science-fiction"
+ *     ContentParameter:
+ *       name: parameter
+ *       in: query
+ *       description: Only content generated with this parameter ID
+ *       schema:
+ *         type: string
+ *       example: "sci-fi-tech-level"
+ *     ContentValue:
+ *       name: value
+ *       in: query
+ *       description: Stored value the parameter must have (requires parameter)
+ *       schema:
+ *         type: string
+ *       example: "Near Future"
+ *   schemas:
+ *     ContentPagination:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: number
+ *           description: Items matching the filters across all pages
+ *           example: 42
+ *         limit:
+ *           type: number
+ *           example: 20
+ *         sort:
+ *           type: string
+ *           example: "created_at"
+ *         order:
+ *           type: string
+ *           example: "desc"
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Cursor for the next page, null on the last page
+ */
+
+/**
+ * @swagger
+ * /api/content:
+ *   get:
+ *     summary: List generated content with cursor pagination, sorting and filters
+ *     description: Items carry a 200 character excerpt instead of the full story unless include_content=true. Image data is never included; use the image URLs.
+ *     tags: [Content]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentLimit'
+ *       - $ref: '#/components/parameters/ContentCursor'
+ *       - $ref: '#/components/parameters/ContentSort'
+ *       - $ref: '#/components/parameters/ContentOrder'
+ *       - $ref: '#/components/parameters/ContentFrom'
+ *       - $ref: '#/components/parameters/ContentTo'
+ *       - $ref: '#/components/parameters/ContentYear'
+ *       - $ref: '#/components/parameters/ContentCategory'
+ *       - $ref: '#/components/parameters/ContentParameter'
+ *       - $ref: '#/components/parameters/ContentValue'
+ *       - name: include_content
+ *         in: query
+ *         description: Return fiction_content instead of excerpt
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *     responses:
+ *       200:
+ *         description: List of generated content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "uuid-string"
+ *                       title:
+ *                         type: string
+ *                         example: "The Quantum Paradox"
+ *                       excerpt:
+ *                         type: string
+ *                         example: "In the year 2150, Dr. Sarah Chen discovered..."
+ *                       year:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 2150
+ *                       image_original_url:
+ *                         type: string
+ *                         example: "/api/images/uuid-string/original?v=9f86d081884c7d65"
+ *                       image_thumbnail_url:
+ *                         type: string
+ *                         example: "/api/images/uuid-string/thumbnail?v=2c26b46b68ffc68f"
+ *                       prompt_data:
+ *                         type: object
+ *                         description: Parameters used to generate this content
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ContentPagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "Validation failed"
+ */
+app.get('/api/content', async (req, res, next) => {
+  try {
+    const filters = contentFiltersSchema.parse(req.query);
+    const page = await dataService.queryContent({ ...filters, includeContent: filters.include_content });
+    res.json({ success: true, data: page.items, pagination: buildPagination(filters, page) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/summary:
+ *   get:
+ *     summary: List content summaries
+ *     description: Same pagination, sorting and filters as GET /api/content, returning only the fields needed for a list view.
+ *     tags: [Content]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentLimit'
+ *       - $ref: '#/components/parameters/ContentCursor'
+ *       - $ref: '#/components/parameters/ContentSort'
+ *       - $ref: '#/components/parameters/ContentOrder'
+ *       - $ref: '#/components/parameters/ContentFrom'
+ *       - $ref: '#/components/parameters/ContentTo'
+ *       - $ref: '#/components/parameters/ContentYear'
+ *       - $ref: '#/components/parameters/ContentCategory'
+ *       - $ref: '#/components/parameters/ContentParameter'
+ *       - $ref: '#/components/parameters/ContentValue'
+ *     responses:
+ *       200:
+ *         description: Content summaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       year:
+ *                         type: number
+ *                         nullable: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       image_thumbnail_url:
+ *                         type: string
+ *                         nullable: true
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ContentPagination'
+ *       400:
+ *         description: Invalid query parameters
+ */
+app.get('/api/content/summary', async (req, res, next) => {
+  try {
+    const filters = contentFiltersSchema.parse(req.query);
+    const page = await dataService.queryContent(filters);
+    const summary = page.items.map(item => ({
+      id: item.id,
+      title: item.title,
+      year: item.year,
+      created_at: item.created_at,
+      image_thumbnail_url: item.image_thumbnail_url || null
+    }));
+    
+    res.json({ success: true, data: summary, pagination: buildPagination(filters, page) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/search:
+ *   get:
+ *     summary: Search content
+ *     description: |
+ *       Full-text search over titles and stories, best matches first. Words must all match;
+ *       use "double quotes" for a phrase and a trailing * for a prefix (e.g. `robot*`).
+ *       `title_highlight` and `snippet` are HTML-escaped, with matched terms wrapped in `<mark>` tags.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: Search query
+ *         schema:
+ *           type: string
+ *         example: '"red planet" colon*'
+ *       - $ref: '#/components/parameters/ContentLimit'
+ *       - $ref: '#/components/parameters/ContentCursor'
+ *     responses:
+ *       200:
+ *         description: Matching content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       title_highlight:
+ *                         type: string
+ *                         example: "The <mark>Red Planet</mark> Accord"
+ *                       snippet:
+ *                         type: string
+ *                         example: "…settlers on the <mark>red planet</mark> voted to…"
+ *                       score:
+ *                         type: number
+ *                         description: Relevance, higher is better
+ *                       year:
+ *                         type: number
+ *                         nullable: true
+ *                       image_thumbnail_url:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ContentPagination'
+ *       400:
+ *         description: Missing or empty search query, or invalid cursor
+ */
+app.get('/api/content/search', async (req, res, next) => {
+  try {
+    const filters = contentSearchSchema.parse(req.query);
+    const page = await dataService.searchContent(filters);
+    res.json({
+      success: true,
+      data: page.items,
+      pagination: buildPagination({ ...filters, sort: 'relevance', order: 'desc' }, page)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Image serving endpoints
+/**
+ * @swagger
+ * /api/images/{id}/original:
+ *   get:
+ *     summary: Get original image (1024x1024)
+ *     description: |
+ *       The ETag is the SHA-256 of the image. Send If-None-Match or If-Modified-Since to get 304
+ *       when the image has not changed, and Range (optionally with If-Range) to fetch part of it.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *       - name: v
+ *         in: query
+ *         description: Image version from image_original_url or image_thumbnail_url; versioned URLs are cached for a year
+ *         schema:
+ *           type: string
+ *       - name: Range
+ *         in: header
+ *         description: A single byte range, e.g. bytes=0-1023
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Original image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range of the image
+ *       304:
+ *         description: Not modified
+ *       416:
+ *         description: Range not satisfiable
+ *       404:
+ *         description: Image not found
+ */
+app.get('/api/images/:id/original', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const content = await dataService.getGeneratedContentById(id);
+    const { hash, buffer } = await dataService.getImageHash(content, 'original');
+
+    if (!hash) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+
+    await sendImage(req, res, {
+      etag: hash,
+      lastModified: dataService.getImageUpdatedAt(content),
+      version: dataService.getImageVersion(hash),
+      contentType: `image/${content.image_format || 'png'}`,
+      load: async () => buffer || await dataService.loadImage(content, 'original')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/images/{id}/thumbnail:
+ *   get:
+ *     summary: Get thumbnail image (150x150)
+ *     description: |
+ *       The ETag is the SHA-256 of the image. Send If-None-Match or If-Modified-Since to get 304
+ *       when the image has not changed, and Range (optionally with If-Range) to fetch part of it.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *       - name: v
+ *         in: query
+ *         description: Image version from image_original_url or image_thumbnail_url; versioned URLs are cached for a year
+ *         schema:
+ *           type: string
+ *       - name: Range
+ *         in: header
+ *         description: A single byte range, e.g. bytes=0-1023
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thumbnail image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range of the image
+ *       304:
+ *         description: Not modified
+ *       416:
+ *         description: Range not satisfiable
+ *       404:
+ *         description: Image not found
+ */
+app.get('/api/images/:id/thumbnail', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const content = await dataService.getGeneratedContentById(id);
+    const { hash, buffer } = await dataService.getImageHash(content, 'thumbnail');
+
+    if (!hash) {
+      return res.status(404).json({ success: false, error: 'Thumbnail not found' });
+    }
+
+    await sendImage(req, res, {
+      etag: hash,
+      lastModified: dataService.getImageUpdatedAt(content),
+      version: dataService.getImageVersion(hash),
+      contentType: 'image/png',
+      load: async () => buffer || await dataService.loadImage(content, 'thumbnail')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/images/{id}:
+ *   get:
+ *     summary: Get the image resized and in a chosen format
+ *     description: |
+ *       Resizes the original image and encodes it on request. Without `format`, the first of
+ *       avif, webp, jpeg and png listed in the Accept header is used, falling back to the stored
+ *       format. Width and height are rounded up to the next of 64, 100, 150, 200, 320, 480, 640, 800
+ *       and 1024 pixels, and images are never enlarged. Renditions are cached, up to 20 per image.
+ *       Conditional and Range requests work as for /api/images/{id}/original.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *       - name: w
+ *         in: query
+ *         description: Width in pixels, rounded up to an allowed size
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1024
+ *       - name: h
+ *         in: query
+ *         description: Height in pixels, rounded up to an allowed size
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1024
+ *       - name: fit
+ *         in: query
+ *         description: How the image fits both dimensions (see sharp resize)
+ *         schema:
+ *           type: string
+ *           enum: [cover, contain, fill, inside, outside]
+ *           default: cover
+ *       - name: format
+ *         in: query
+ *         description: Output format; overrides the Accept header
+ *         schema:
+ *           type: string
+ *           enum: [avif, webp, jpeg, png]
+ *       - name: v
+ *         in: query
+ *         description: Image version from image_original_url; versioned URLs are cached for a year
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image rendition
+ *         content:
+ *           image/avif:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range of the rendition
+ *       304:
+ *         description: Not modified
+ *       400:
+ *         description: Invalid size, fit or format
+ *       404:
+ *         description: Image not found
+ *       501:
+ *         description: Resizing is not available (sharp is not installed)
+ */
+app.get('/api/images/:id', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const query = imageRenditionQuerySchema.parse(req.query);
+    const content = await dataService.getGeneratedContentById(id);
+    const { hash, buffer } = await dataService.getImageHash(content, 'original');
+
+    if (!hash) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+
+    const storedFormat = content.image_format || 'png';
+    const format = imageService.negotiateFormat(query.format, req.get('Accept'), storedFormat);
+    const spec = { width: query.w, height: query.h, fit: query.fit, format };
+    const version = dataService.getImageVersion(hash);
+
+    // The stored image needs no processing when neither size nor format changes
+    const unchanged = !spec.width && !spec.height && format === storedFormat;
+
+    if (!query.format) res.vary('Accept');
+    await sendImage(req, res, {
+      etag: unchanged ? hash : `${version}-${spec.width || 0}x${spec.height || 0}-${spec.fit}.${format}`,
+      lastModified: dataService.getImageUpdatedAt(content),
+      version,
+      contentType: imageService.mimeType(format),
+      load: async () => unchanged
+        ? buffer || await dataService.loadImage(content, 'original')
+        : (await imageService.getRendition(content, spec)).buffer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}:
+ *   get:
+ *     summary: Get specific generated content by ID
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     responses:
+ *       200:
+ *         description: Content found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: "uuid-string"
+ *                     title:
+ *                       type: string
+ *                       example: "The Quantum Paradox"
+ *                     fiction_content:
+ *                       type: string
+ *                       example: "In the year 2150, Dr. Sarah Chen discovered..."
+ *                     image_original_url:
+ *                       type: string
+ *                       example: "/api/images/uuid-string/original?v=9f86d081884c7d65"
+ *                     image_thumbnail_url:
+ *                       type: string
+ *                       example: "/api/images/uuid-string/thumbnail?v=2c26b46b68ffc68f"
+ *                     prompt_data:
+ *                       type: object
+ *                       description: Parameters used to generate this content
+ *       404:
+ *         description: Content not found
+ */
+app.get('/api/content/:id', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const content = await dataService.getGeneratedContentForApi(id);
+    res.json({ success: true, data: content });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/content/:id/image', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const content = await dataService.getGeneratedContentById(id);
+
+    if (!dataService.hasImage(content) && !content.image_url) {
+      throw boom.notFound('Image not found');
+    }
+
+    const responseData = {};
+    if (dataService.hasImage(content)) {
+      const urls = dataService.getImageUrls(content);
+      responseData.imageOriginalUrl = urls.image_original_url;
+      responseData.imageThumbnailUrl = urls.image_thumbnail_url;
+    } else if (content.image_url) {
+      responseData.imageUrl = content.image_url;
+    }
+
+    res.json({
+      success: true,
+      data: responseData
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/image:
+ *   post:
+ *     summary: Add an image to a text-only content item
+ *     description: |
+ *       Draws an image for a story that was generated with `include_image: false` or while the
+ *       enable_image_generation setting was off. Items that already have an image are changed with
+ *       POST /api/content/{id}/image/regenerate instead.
+ *     tags: [Content]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               style:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Extra style hint added to the image prompt
+ *                 example: "Watercolour, muted palette"
+ *     responses:
+ *       201:
+ *         description: Image added; returns the updated content item
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role, or the enable_image_generation setting is off
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: The content item already has an image
+ *       429:
+ *         $ref: '#/components/responses/GenerationQuota'
+ *       500:
+ *         description: Image generation or processing failed
+ */
+app.post('/api/content/:id/image', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const { style } = imageRegenerateSchema.parse(req.body || {});
+    const content = await dataService.getGeneratedContentById(id);
+    if (dataService.hasImage(content)) {
+      throw boom.conflict(`Content with id ${id} already has an image; use POST /api/content/${id}/image/regenerate to replace it`);
+    }
+
+    await withGenerationQuota(req, res, () => generateContentImage(content, style));
+    res.status(201).json({ success: true, data: await dataService.getGeneratedContentForApi(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/image/regenerate:
+ *   post:
+ *     summary: Replace the image of a content item
+ *     description: |
+ *       Draws a new image for the saved story and replaces the stored original and thumbnail in one
+ *       transaction. The previous image is kept in the image history and can be restored with
+ *       POST /api/content/{id}/image/rollback.
+ *     tags: [Content]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               style:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Extra style hint added to the image prompt
+ *                 example: "Watercolour, muted palette"
+ *     responses:
+ *       200:
+ *         description: Image replaced; returns the updated content item
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role, or the enable_image_generation setting is off
+ *       404:
+ *         description: Content not found
+ *       429:
+ *         $ref: '#/components/responses/GenerationQuota'
+ *       500:
+ *         description: Image generation or processing failed
+ */
+app.post('/api/content/:id/image/regenerate', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const { style } = imageRegenerateSchema.parse(req.body || {});
+    const content = await dataService.getGeneratedContentById(id);
+
+    await withGenerationQuota(req, res, () => generateContentImage(content, style));
+    res.json({ success: true, data: await dataService.getGeneratedContentForApi(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/image/history:
+ *   get:
+ *     summary: List the previous images of a content item
+ *     description: Newest first, without image data.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     responses:
+ *       200:
+ *         description: Image history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       image_format:
+ *                         type: string
+ *                       image_size_bytes:
+ *                         type: number
+ *                       metadata:
+ *                         type: object
+ *                         description: Image generation metadata of that image
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the image was replaced
+ *       404:
+ *         description: Content not found
+ */
+app.get('/api/content/:id/image/history', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const history = await dataService.getImageHistory(id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/image/rollback:
+ *   post:
+ *     summary: Restore a previous image
+ *     description: |
+ *       Restores an image from the history, the most recent one by default. The image being
+ *       replaced is added to the history, so a rollback can itself be rolled back.
+ *     tags: [Content]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               history_id:
+ *                 type: string
+ *                 description: Image history entry to restore
+ *     responses:
+ *       200:
+ *         description: Image restored; returns the updated content item
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Content, history entry or previous image not found
+ */
+app.post('/api/content/:id/image/rollback', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const { history_id: historyId } = imageRollbackSchema.parse(req.body || {});
+    await dataService.restoreContentImage(id, historyId);
+    res.json({ success: true, data: await dataService.getGeneratedContentForApi(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/regenerate:
+ *   post:
+ *     summary: Regenerate a content item as a new variant
+ *     description: |
+ *       Generates again from the item's stored prompt_data and year and saves the result as a new
+ *       content item. The original is left untouched; the new item records it as `parent_id` and
+ *       joins its `variant_group`.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID to regenerate
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [text, image, both]
+ *                 default: both
+ *                 description: What to regenerate; the other part is copied from the original. While the enable_image_generation setting is off, both writes a text-only story
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   description: The new content item, as returned by GET /api/content/{id}
+ *       400:
+ *         description: Invalid mode, or the stored parameters no longer match the catalogue
+ *       403:
+ *         description: Mode image was asked for while the enable_image_generation setting is off
+ *       404:
+ *         description: Content not found
+ *       429:
+ *         $ref: '#/components/responses/GenerationQuota'
+ *       500:
+ *         description: Generation failed
+ */
+app.post('/api/content/:id/regenerate', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const { mode } = regenerateRequestSchema.parse(req.body || {});
+    const content = await dataService.getGeneratedContentById(id);
+
+    // A new story is written from the current catalogue; an image only needs the story text
+    if (mode === 'image') await assertImageGenerationEnabled();
+    const { parameters, year, includeImage } = mode === 'image'
+      ? { parameters: content.prompt_data, year: content.year, includeImage: true }
+      : await resolveGenerationRequest({ parameters: content.prompt_data, year: content.year });
+
+    const apiContent = await withGenerationQuota(req, res, async () => {
+      // A text variant keeps the original image, so its bytes are needed wherever they are stored
+      const source = mode === 'text' ? await dataService.loadContentImages(content) : content;
+      const result = await aiService.regenerate(source, mode, parameters, year, { includeImage });
+      const savedContent = await dataService.saveGenerationResult(result, parameters, year, content);
+      return dataService.getGeneratedContentForApi(savedContent.id);
+    });
+
+    res.status(201).json({ success: true, data: apiContent });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/variants:
+ *   get:
+ *     summary: List the variants of a content item
+ *     description: Returns every item in the content item's variant group, the original first, without image data.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Any content ID in the group
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     responses:
+ *       200:
+ *         description: Variants in creation order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 variant_group:
+ *                   type: string
+ *                   description: ID of the original item the group is named after
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       excerpt:
+ *                         type: string
+ *                       parent_id:
+ *                         type: string
+ *                         nullable: true
+ *                       image_thumbnail_url:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Content not found
+ */
+app.get('/api/content/:id/variants', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const variants = await dataService.getContentVariants(id);
+    res.json({ success: true, variant_group: variants.variantGroup, data: variants.items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/export:
+ *   get:
+ *     summary: Download a story as a document
+ *     description: |
+ *       Markdown, HTML and plain text start with the title, year, categories, generation date and
+ *       parameters. HTML embeds the image and has print styles for saving as PDF; EPUB is an EPUB 3
+ *       book with the image as its cover. Markdown links to the image instead of embedding it.
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *       - name: format
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [md, html, epub, txt]
+ *     responses:
+ *       200:
+ *         description: Story document, sent as an attachment
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/epub+zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or unknown format
+ *       404:
+ *         description: Content not found
+ */
+app.get('/api/content/:id/export', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const { format } = contentExportSchema.parse(req.query);
+    const story = await dataService.getContentForExport(id);
+    const document = exportStory(story, format);
+
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename="${document.filename}"`,
+      'Content-Length': document.buffer.length
+    });
+    res.send(document.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}:
+ *   put:
+ *     summary: Update generated content
+ *     tags: [Content]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID to update
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
  *     requestBody:
  *       required: true
  *       content:
@@ -961,43 +4048,18 @@ app.put('/api/admin/settings', async (req, res, next) => {
  *           schema:
  *             type: object
  *             properties:
- *               parameters:
- *                 type: object
- *                 description: Generation parameters based on categories and settings
- *               year:
- *                 type: number
- *                 description: Optional year setting for the story
- *                 example: 2150
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Updated Story Title"
  *           examples:
- *             science-fiction:
- *               summary: Science Fiction Story
- *               value:
- *                 parameters:
- *                   category: "science-fiction"
- *                   technology-level: "Advanced AI"
- *                   setting: "Space Station"
- *                   character: "Scientist"
- *                 year: 2150
- *             fantasy:
- *               summary: Fantasy Story
- *               value:
- *                 parameters:
- *                   category: "fantasy"
- *                   magic-system: "Elemental Magic"
- *                   setting: "Ancient Forest"
- *                   character: "Wizard"
- *             historical:
- *               summary: Historical Fiction
+ *             update-title:
+ *               summary: Update Title
  *               value:
- *                 parameters:
- *                   category: "historical"
- *                   time-period: "Victorian Era"
- *                   location: "London"
- *                   character: "Detective"
- *                 year: 1890
+ *                 title: "The Quantum Paradox - Revised Edition"
  *     responses:
- *       201:
- *         description: Content generated successfully
+ *       200:
+ *         description: Content updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1008,30 +4070,60 @@ app.put('/api/admin/settings', async (req, res, next) => {
  *                   example: true
  *                 data:
  *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                       example: "uuid-string"
- *                     title:
- *                       type: string
- *                       example: "The Quantum Paradox"
- *                     fiction_content:
- *                       type: string
- *                       example: "In the year 2150, Dr. Sarah Chen discovered..."
- *                     image_original_url:
- *                       type: string
- *                       example: "/api/images/uuid-string/original"
- *                     image_thumbnail_url:
- *                       type: string
- *                       example: "/api/images/uuid-string/thumbnail"
- *                     prompt_data:
- *                       type: object
- *                       description: Parameters used to generate this content
- *                     metadata:
- *                       type: object
- *                       description: Generation metadata (model info, tokens, etc.)
- *       500:
- *         description: Generation failed
+ *                   description: Updated content object
+ *       404:
+ *         description: Content not found
+ *       400:
+ *         description: Validation failed
+ */
+app.put('/api/content/:id', async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const updates = contentUpdateSchema.parse(req.body);
+    const content = await dataService.updateGeneratedContent(id, updates);
+    res.json({ success: true, data: content });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}:
+ *   delete:
+ *     summary: Delete generated content
+ *     tags: [Content]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Content ID to delete
+ *         schema:
+ *           type: string
+ *         example: "uuid-string"
+ *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       200:
+ *         description: Content deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Content deleted successfully"
+ *       404:
+ *         description: Content not found
  *         content:
  *           application/json:
  *             schema:
@@ -1042,62 +4134,29 @@ app.put('/api/admin/settings', async (req, res, next) => {
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: "OpenAI API key not configured"
+ *                   example: "Content with id uuid-string not found"
  */
-app.post('/api/generate', async (req, res, next) => {
+app.delete('/api/content/:id', requireRole('editor'), async (req, res, next) => {
   try {
-    const { parameters, year } = generationRequestSchema.parse(req.body);
-    
-    const startTime = Date.now();
-    const result = await aiService.generate(parameters, year);
-    
-    if (!result.success) {
-      throw boom.internal(result.error);
-    }
-
-    const contentData = {
-      title: result.title,
-      fiction_content: result.content,
-      image_blob: result.imageBlob || null,
-      image_thumbnail: result.imageThumbnail || null,
-      image_format: result.imageFormat || 'png',
-      image_size_bytes: result.imageSizeBytes || 0,
-      thumbnail_size_bytes: result.thumbnailSizeBytes || 0,
-      prompt_data: parameters,
-      metadata: result.metadata
-    };
-
-    const savedContent = await dataService.saveGeneratedContent(contentData);
-    const apiContent = await dataService.getGeneratedContentForApi(savedContent.id);
-    
-    res.status(201).json({ 
-      success: true, 
-      data: apiContent
-    });
+    const { id } = idParamSchema.parse(req.params);
+    const result = await dataService.deleteGeneratedContent(id);
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
+// ==================== COLLECTION ROUTES ====================
+
 /**
  * @swagger
- * /api/content:
+ * /api/collections:
  *   get:
- *     summary: Get all generated content with pagination
- *     tags: [Content]
- *     parameters:
- *       - name: limit
- *         in: query
- *         description: Number of items to return (max 100)
- *         schema:
- *           type: number
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         example: 10
+ *     summary: List collections
+ *     tags: [Collections]
  *     responses:
  *       200:
- *         description: List of generated content
+ *         description: Collections, newest first, without their stories
  *         content:
  *           application/json:
  *             schema:
@@ -1109,31 +4168,47 @@ app.post('/api/generate', async (req, res, next) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         example: "uuid-string"
- *                       title:
- *                         type: string
- *                         example: "The Quantum Paradox"
- *                       fiction_content:
- *                         type: string
- *                         example: "In the year 2150, Dr. Sarah Chen discovered..."
- *                       image_original_url:
- *                         type: string
- *                         example: "/api/images/uuid-string/original"
- *                       image_thumbnail_url:
- *                         type: string
- *                         example: "/api/images/uuid-string/thumbnail"
- *                       prompt_data:
- *                         type: object
- *                         description: Parameters used to generate this content
- *                       created_at:
- *                         type: string
- *                         format: date-time
- *       400:
- *         description: Invalid query parameters
+ *                     $ref: '#/components/schemas/Collection'
+ */
+app.get('/api/collections', async (req, res, next) => {
+  try {
+    const collections = await dataService.getAllCollections();
+    res.json({ success: true, data: collections });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections:
+ *   post:
+ *     summary: Create a collection
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Monsoon Futures"
+ *               description:
+ *                 type: string
+ *               content_ids:
+ *                 type: array
+ *                 description: Stories to start with, in order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Collection created
  *         content:
  *           application/json:
  *             schema:
@@ -1141,18 +4216,23 @@ app.post('/api/generate', async (req, res, next) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: "Validation failed"
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: A story in content_ids does not exist
  */
-app.get('/api/content', async (req, res, next) => {
+app.post('/api/collections', requireRole('editor'), async (req, res, next) => {
   try {
-    const filters = contentFiltersSchema.parse(req.query);
-    const limit = parseInt(filters.limit) || 20;
-    
-    const content = await dataService.getRecentContent(limit);
-    res.json({ success: true, data: content });
+    const collectionData = collectionSchema.parse(req.body);
+    const collection = await dataService.createCollection(collectionData);
+    res.status(201).json({ success: true, data: collection });
   } catch (error) {
     next(error);
   }
@@ -1160,13 +4240,19 @@ app.get('/api/content', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/content/summary:
+ * /api/collections/{id}:
  *   get:
- *     summary: Get content generation summary statistics
- *     tags: [Content]
+ *     summary: Get a collection and its stories
+ *     tags: [Collections]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Content summary statistics
+ *         description: Collection with its stories in order
  *         content:
  *           application/json:
  *             schema:
@@ -1176,78 +4262,100 @@ app.get('/api/content', async (req, res, next) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   properties:
- *                     total_content:
- *                       type: number
- *                       example: 42
- *                     recent_content:
- *                       type: number
- *                       example: 5
+ *                   $ref: '#/components/schemas/Collection'
+ *       404:
+ *         description: Collection not found
  */
-app.get('/api/content/summary', async (req, res, next) => {
+app.get('/api/collections/:id', async (req, res, next) => {
   try {
-    const filters = contentFiltersSchema.parse(req.query);
-    const limit = parseInt(filters.limit) || 20;
-    const contentType = filters.type || null;
-    
-    const content = await dataService.getRecentContent(limit, contentType);
-    const summary = content.map(item => ({
-      id: item.id,
-      title: item.title,
-      content_type: item.content_type,
-      created_at: item.created_at
-    }));
-    
-    res.json({ success: true, data: summary });
+    const { id } = idParamSchema.parse(req.params);
+    const collection = await dataService.getCollectionById(id);
+    res.json({ success: true, data: collection });
   } catch (error) {
     next(error);
   }
 });
 
-// Image serving endpoints
 /**
  * @swagger
- * /api/images/{id}/original:
- *   get:
- *     summary: Get original image (1024x1024)
- *     tags: [Content]
+ * /api/collections/{id}:
+ *   put:
+ *     summary: Rename a collection or change its description
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
  *         required: true
- *         description: Content ID
  *         schema:
  *           type: string
- *         example: "uuid-string"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Original image
- *         content:
- *           image/png:
- *             schema:
- *               type: string
- *               format: binary
+ *         description: Collection updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       404:
- *         description: Image not found
+ *         description: Collection not found
  */
-app.get('/api/images/:id/original', async (req, res, next) => {
+app.put('/api/collections/:id', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
-    const content = await dataService.getGeneratedContentById(id);
-    
-    if (!content.image_blob) {
-      return res.status(404).json({ success: false, error: 'Image not found' });
-    }
-    
-    res.set({
-      'Content-Type': `image/${content.image_format || 'png'}`,
-      'Content-Length': content.image_size_bytes,
-      'Cache-Control': 'public, max-age=31536000', // 1 year cache
-      'ETag': `"${id}-original"`
-    });
-    
-    res.send(content.image_blob);
+    const updates = collectionUpdateSchema.parse(req.body);
+    const collection = await dataService.updateCollection(id, updates);
+    res.json({ success: true, data: collection });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   delete:
+ *     summary: Delete a collection
+ *     description: The stories in it are kept.
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Collection not found
+ */
+app.delete('/api/collections/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { id } = idParamSchema.parse(req.params);
+    const result = await dataService.deleteCollection(id);
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -1255,46 +4363,53 @@ app.get('/api/images/:id/original', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/images/{id}/thumbnail:
- *   get:
- *     summary: Get thumbnail image (150x150)
- *     tags: [Content]
+ * /api/collections/{id}/items:
+ *   post:
+ *     summary: Add a story to a collection
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
  *         required: true
- *         description: Content ID
  *         schema:
  *           type: string
- *         example: "uuid-string"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content_id]
+ *             properties:
+ *               content_id:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Zero-based place to insert the story at; defaults to the end
  *     responses:
  *       200:
- *         description: Thumbnail image
- *         content:
- *           image/png:
- *             schema:
- *               type: string
- *               format: binary
+ *         description: Updated collection
+ *       400:
+ *         description: Validation error or the collection is full
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       404:
- *         description: Image not found
+ *         description: Collection or story not found
+ *       409:
+ *         description: The story is already in the collection
  */
-app.get('/api/images/:id/thumbnail', async (req, res, next) => {
+app.post('/api/collections/:id/items', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
-    const content = await dataService.getGeneratedContentById(id);
-    
-    if (!content.image_thumbnail) {
-      return res.status(404).json({ success: false, error: 'Thumbnail not found' });
-    }
-    
-    res.set({
-      'Content-Type': 'image/png',
-      'Content-Length': content.thumbnail_size_bytes,
-      'Cache-Control': 'public, max-age=31536000', // 1 year cache
-      'ETag': `"${id}-thumbnail"`
-    });
-    
-    res.send(content.image_thumbnail);
+    const { content_id: contentId, position } = collectionItemSchema.parse(req.body);
+    const collection = await dataService.addCollectionItem(id, contentId, position ?? null);
+    res.json({ success: true, data: collection });
   } catch (error) {
     next(error);
   }
@@ -1302,84 +4417,91 @@ app.get('/api/images/:id/thumbnail', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/content/{id}:
- *   get:
- *     summary: Get specific generated content by ID
- *     tags: [Content]
+ * /api/collections/{id}/items:
+ *   put:
+ *     summary: Reorder the stories in a collection
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
  *         required: true
- *         description: Content ID
  *         schema:
  *           type: string
- *         example: "uuid-string"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content_ids]
+ *             properties:
+ *               content_ids:
+ *                 type: array
+ *                 description: Every story in the collection, in the new order
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Content found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                       example: "uuid-string"
- *                     title:
- *                       type: string
- *                       example: "The Quantum Paradox"
- *                     fiction_content:
- *                       type: string
- *                       example: "In the year 2150, Dr. Sarah Chen discovered..."
- *                     image_original_url:
- *                       type: string
- *                       example: "/api/images/uuid-string/original"
- *                     image_thumbnail_url:
- *                       type: string
- *                       example: "/api/images/uuid-string/thumbnail"
- *                     prompt_data:
- *                       type: object
- *                       description: Parameters used to generate this content
+ *         description: Reordered collection
+ *       400:
+ *         description: content_ids does not list every story exactly once
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
  *       404:
- *         description: Content not found
+ *         description: Collection not found
  */
-app.get('/api/content/:id', async (req, res, next) => {
+app.put('/api/collections/:id/items', requireRole('editor'), async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
-    const content = await dataService.getGeneratedContentForApi(id);
-    res.json({ success: true, data: content });
+    const { content_ids: contentIds } = collectionOrderSchema.parse(req.body);
+    const collection = await dataService.reorderCollection(id, contentIds);
+    res.json({ success: true, data: collection });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/content/:id/image', async (req, res, next) => {
+/**
+ * @swagger
+ * /api/collections/{id}/items/{contentId}:
+ *   delete:
+ *     summary: Remove a story from a collection
+ *     description: The story itself is kept.
+ *     tags: [Collections]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: contentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated collection
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the editor role
+ *       404:
+ *         description: Collection not found or the story is not in it
+ */
+app.delete('/api/collections/:id/items/:contentId', requireRole('editor'), async (req, res, next) => {
   try {
-    const { id } = idParamSchema.parse(req.params);
-    const content = await dataService.getGeneratedContentById(id);
-
-    if (!content.image_blob && !content.image_url) {
-      throw boom.notFound('Image not found');
-    }
-
-    const responseData = {};
-    if (content.image_blob) {
-      responseData.imageOriginalUrl = `/api/images/${id}/original`;
-      responseData.imageThumbnailUrl = `/api/images/${id}/thumbnail`;
-    } else if (content.image_url) {
-      responseData.imageUrl = content.image_url;
-    }
-
-    res.json({
-      success: true,
-      data: responseData
-    });
+    const { id, contentId } = collectionItemParamSchema.parse(req.params);
+    const collection = await dataService.removeCollectionItem(id, contentId);
+    res.json({ success: true, data: collection });
   } catch (error) {
     next(error);
   }
@@ -1387,59 +4509,48 @@ app.get('/api/content/:id/image', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/content/{id}:
- *   put:
- *     summary: Update generated content
- *     tags: [Content]
+ * /api/collections/{id}/cover:
+ *   get:
+ *     summary: Get the cover image of a collection
+ *     description: |
+ *       The thumbnails of the first four stories with images, tiled two per row. A collection with
+ *       one illustrated story uses its thumbnail. Supports If-None-Match, If-Modified-Since and Range.
+ *     tags: [Collections]
  *     parameters:
  *       - name: id
  *         in: path
  *         required: true
- *         description: Content ID to update
  *         schema:
  *           type: string
- *         example: "uuid-string"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 maxLength: 200
- *                 example: "Updated Story Title"
- *           examples:
- *             update-title:
- *               summary: Update Title
- *               value:
- *                 title: "The Quantum Paradox - Revised Edition"
  *     responses:
  *       200:
- *         description: Content updated successfully
+ *         description: Cover image
  *         content:
- *           application/json:
+ *           image/png:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   description: Updated content object
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: Not modified
  *       404:
- *         description: Content not found
- *       400:
- *         description: Validation failed
+ *         description: Collection not found or none of its stories has an image
  */
-app.put('/api/content/:id', async (req, res, next) => {
+app.get('/api/collections/:id/cover', async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
-    const updates = contentUpdateSchema.parse(req.body);
-    const content = await dataService.updateGeneratedContent(id, updates);
-    res.json({ success: true, data: content });
+    const cover = await dataService.getCollectionCover(id);
+
+    if (cover.members.length === 0) {
+      return res.status(404).json({ success: false, error: 'Collection has no images' });
+    }
+
+    await sendImage(req, res, {
+      etag: cover.etag,
+      lastModified: cover.lastModified,
+      version: null,
+      contentType: 'image/png',
+      load: () => imageService.renderCollectionCover(cover.members)
+    });
   } catch (error) {
     next(error);
   }
@@ -1447,51 +4558,61 @@ app.put('/api/content/:id', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/content/{id}:
- *   delete:
- *     summary: Delete generated content
- *     tags: [Content]
+ * /api/collections/{id}/export:
+ *   get:
+ *     summary: Download a collection as one book
+ *     description: |
+ *       EPUB has the table of contents first, a chapter per story with its image, and the collection
+ *       cover. Markdown is one file with a linked table of contents followed by the stories.
+ *     tags: [Collections]
  *     parameters:
  *       - name: id
  *         in: path
  *         required: true
- *         description: Content ID to delete
  *         schema:
  *           type: string
- *         example: "uuid-string"
+ *       - name: format
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [epub, md]
  *     responses:
  *       200:
- *         description: Content deleted successfully
+ *         description: Collection document, sent as an attachment
  *         content:
- *           application/json:
+ *           application/epub+zip:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Content deleted successfully"
- *       404:
- *         description: Content not found
- *         content:
- *           application/json:
+ *               type: string
+ *               format: binary
+ *           text/markdown:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: "Content with id uuid-string not found"
+ *               type: string
+ *       400:
+ *         description: Missing or unknown format
+ *       404:
+ *         description: Collection not found
  */
-app.delete('/api/content/:id', async (req, res, next) => {
+app.get('/api/collections/:id/export', async (req, res, next) => {
   try {
     const { id } = idParamSchema.parse(req.params);
-    const result = await dataService.deleteGeneratedContent(id);
-    res.json(result);
+    const { format } = collectionExportSchema.parse(req.query);
+    const collection = await dataService.getCollectionForExport(id);
+
+    if (format === 'epub') {
+      const cover = await dataService.getCollectionCover(id);
+      collection.cover = cover.members.length > 0
+        ? { buffer: await imageService.renderCollectionCover(cover.members), format: 'png' }
+        : null;
+    }
+
+    const document = exportCollection(collection, format);
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename="${document.filename}"`,
+      'Content-Length': document.buffer.length
+    });
+    res.send(document.buffer);
   } catch (error) {
     next(error);
   }
@@ -1504,6 +4625,7 @@ app.delete('/api/content/:id', async (req, res, next) => {
  * /api/system/health:
  *   get:
  *     summary: Health check endpoint
+ *     description: Reports database and AI status and whether maintenance mode is on; maintenance mode alone does not degrade the status
  *     tags: [System]
  */
 app.get('/api/system/health', async (req, res) => {
@@ -1514,20 +4636,22 @@ app.get('/api/system/health', async (req, res) => {
     environment: config.get('env'),
     version: config.get('app.version'),
     database: 'unknown',
-    ai: 'unknown'
+    ai: 'unknown',
+    maintenance: false
   };
 
   try {
     await dataService.init();
     await dataService.getCategories();
     healthStatus.database = 'connected';
+    healthStatus.maintenance = await dataService.getMaintenanceMode();
   } catch (error) {
     healthStatus.database = 'disconnected';
     healthStatus.status = 'degraded';
   }
 
   try {
-    if (config.get('ai.openai.apiKey')) {
+    if (aiService.isConfigured) {
       healthStatus.ai = 'configured';
     } else {
       healthStatus.ai = 'not_configured';
@@ -1553,7 +4677,14 @@ app.get('/api/system/health', async (req, res) => {
  *   post:
  *     summary: Initialize database with schema and default data
  *     tags: [System]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     responses:
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the admin role
  *       200:
  *         description: Database initialized successfully
  *         content:
@@ -1570,7 +4701,7 @@ app.get('/api/system/health', async (req, res) => {
  *       500:
  *         description: Database initialization failed
  */
-app.post('/api/system/database/init', async (req, res, next) => {
+app.post('/api/system/database/init', requireRole('admin'), async (req, res, next) => {
   try {
     await dataService.init();
     res.json({ 
@@ -1625,7 +4756,7 @@ app.get('/api/system/database/status', async (req, res, next) => {
     const stats = {
       categories: (await dataService.getCategories()).length,
       parameters: (await dataService.getParameters()).length,
-      generatedContent: (await dataService.getRecentContent(1)).length,
+      generatedContent: (await dataService.queryContent({ limit: 1 })).total,
       settings: Object.keys(await dataService.getSettings()).length
     };
 
@@ -1642,6 +4773,73 @@ app.get('/api/system/database/status', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/system/database/migrations:
+ *   get:
+ *     summary: List applied and pending schema migrations
+ *     description: Pending migrations are applied in one transaction when the database is initialized.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Migration status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     schema_version:
+ *                       type: string
+ *                       description: Version this server expects (SCHEMA_VERSION)
+ *                       example: "2.4.0"
+ *                     database_version:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Version of the latest applied migration
+ *                       example: "2.4.0"
+ *                     applied:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: "001-initial-schema"
+ *                           version:
+ *                             type: string
+ *                             example: "2.0.0"
+ *                           description:
+ *                             type: string
+ *                           applied_at:
+ *                             type: string
+ *                             format: date-time
+ *                     pending:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           version:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ */
+app.get('/api/system/database/migrations', async (req, res, next) => {
+  try {
+    const status = await dataService.getMigrationStatus();
+    res.json({ success: true, data: status });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Swagger documentation
 app.use('/api/system/docs', swaggerUi.serve);
 app.get('/api/system/docs', swaggerUi.setup(swaggerSpec, {
@@ -1670,11 +4868,22 @@ app.get('/api/system/docs.json', (req, res) => {
 
 // ==================== LEGACY ROUTE MAPPINGS ====================
 
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get categories for the public generator UI
+ *     description: Same shape as GET /api/admin/categories, but categories with visibility Hide are left out
+ *     tags: [Content]
+ *     responses:
+ *       200:
+ *         description: List of visible categories
+ */
 // Legacy route mappings for backward compatibility
 app.all('/api/categories*', async (req, res, next) => {
   if (req.method === 'GET' && req.path === '/api/categories') {
     try {
-      const categories = await dataService.getCategories();
+      const categories = await dataService.getCategories({ visibility: 'Show' });
       res.json({ success: true, data: categories });
     } catch (error) {
       next(error);
@@ -1737,7 +4946,7 @@ app.all('/api/health*', async (req, res, next) => {
       }
 
       try {
-        if (config.get('ai.openai.apiKey')) {
+        if (aiService.isConfigured) {
           healthStatus.ai = 'configured';
         } else {
           healthStatus.ai = 'not_configured';
@@ -1793,7 +5002,7 @@ app.use((error, req, res, next) => {
       url: req.url
     });
     
-    return res.status(error.output.statusCode).json({
+    return res.status(error.output.statusCode).set(error.output.headers).json({
       success: false,
       error: error.output.payload.message,
       ...(config.isDevelopment() && { 
@@ -1852,13 +5061,29 @@ const gracefulShutdown = (signal) => {
 };
 
 // Start server
-const server = app.listen(PORT, () => {
+const server = app.listen(PORT, async () => {
   logger.info({
     message: 'SpecGen API Server started',
     port: PORT,
     environment: config.get('env'),
     docs: `http://localhost:${PORT}/api/system/docs`
   });
+
+  if (config.isFeatureEnabled('enableAuth') && !config.get('security.auth.adminApiKey')) {
+    logger.warn({ message: 'Authentication is enabled but ADMIN_API_KEY is not set; only stored API keys can reach admin routes' });
+  }
+
+  // Jobs left queued or running by a previous process will never complete
+  if (!config.isTest()) {
+    try {
+      const interrupted = await dataService.failInterruptedGenerationJobs();
+      if (interrupted > 0) {
+        logger.warn({ message: 'Marked interrupted generation jobs as failed', count: interrupted });
+      }
+    } catch (error) {
+      logger.error({ message: 'Failed to recover generation jobs', error: error.message });
+    }
+  }
 });
 
 // Handle shutdown signals
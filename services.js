@@ -7,10 +7,67 @@ import sqlite3 from 'sqlite3';
 import axios from 'axios';
 import boom from '@hapi/boom';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import config from './config.js';
 import schema from './schema.js';
+import { createTextProvider, createImageProvider } from './providers.js';
+import { createImageStorage } from './storage.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations/', import.meta.url));
+
+// Sort keys accepted by content listings, mapped to the SQL they order by
+const CONTENT_SORT_EXPRESSIONS = {
+  created_at: 'created_at',
+  title: 'title',
+  year: 'COALESCE(year, 0)'
+};
+
+// Content listings never load image blobs
+const CONTENT_LIST_COLUMNS = `id, title, image_format, image_size_bytes, thumbnail_size_bytes,
+  prompt_data, metadata, year, parent_id, variant_group, image_hash, thumbnail_hash, created_at,
+  (image_blob IS NOT NULL OR image_key IS NOT NULL) AS has_image`;
+
+// Search results highlight matched terms with <mark>; SQLite marks them with private-use characters
+// so the stored text can be HTML-escaped before the tags go in
+const SEARCH_HIGHLIGHT = { open: '\uE000', close: '\uE001', ellipsis: '…', snippetTokens: 24 };
+
+// Image URLs carry this many hex digits of the image hash as their ?v= token
+const IMAGE_VERSION_LENGTH = 16;
+
+// rate_limit_per_minute counts generations in fixed windows of this length
+const GENERATION_WINDOW_SECONDS = 60;
+
+function hashImage(buffer) {
+  return buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a highlight() or snippet() result and turn its match markers into <mark> tags
+ */
+function highlightHtml(value) {
+  if (value === null || value === undefined) return value;
+  return escapeHtml(value)
+    .replaceAll(SEARCH_HIGHLIGHT.open, '<mark>')
+    .replaceAll(SEARCH_HIGHLIGHT.close, '</mark>');
+}
 
 // Check if Sharp is available
 let sharp = null;
@@ -45,9 +102,16 @@ class DataService {
   constructor() {
     this.db = null;
     this.dbPath = config.getDatabasePath();
+    this.maintenanceCache = null;
+    // The connection is shared, so transactions run one at a time and other statements wait for them
+    this.transactionScope = new AsyncLocalStorage();
+    this.activeTransaction = null;
+    this.pendingStatements = 0;
+    this.statementsDrained = null;
   }
 
   async init() {
+    this.maintenanceCache = null;
     return new Promise((resolve, reject) => {
       // Ensure the database directory exists
       const dbDir = path.dirname(this.dbPath);
@@ -76,14 +140,22 @@ class DataService {
    * Ensure database schema exists
    */
   async ensureSchema() {
-    // Check if tables exist
+    // Check if tables exist; databases from before migrations have categories but no schema_migrations
     const tableCheck = await this.get(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name='categories'"
+      "SELECT name FROM sqlite_master WHERE type='table' AND name IN ('categories', 'schema_migrations')"
     );
     
     if (!tableCheck) {
-      // Create all tables
-      await this.createDatabaseSchema();
+      // New databases start from the current schema with every migration already applied
+      const migrations = await this.loadMigrations();
+      await this.transaction(async () => {
+        await this.createDatabaseSchema();
+        for (const migration of migrations) {
+          await this.recordMigration(migration);
+        }
+      });
+    } else {
+      await this.migrate();
     }
   }
 
@@ -141,7 +213,13 @@ class DataService {
           id: category.id,
           name: category.name,
           description: category.description || '',
-          sort_order: category.sort_order || 0
+          visibility: category.visibility === 'Hide' ? 'Hide' : 'Show',
+          year: category.year ?? null,
+          sort_order: category.sort_order || 0,
+          system_prompt: category.system_prompt ?? null,
+          image_style: category.image_style ?? null,
+          temperature: category.temperature ?? null,
+          story_length: category.story_length ?? null
         });
       }
 
@@ -154,8 +232,11 @@ class DataService {
           description: param.description || '',
           type: param.type === 'Dropdown' ? 'select' : param.type.toLowerCase(),
           category_id: param.categoryId,
+          visibility: ['Basic', 'Advanced', 'Hide'].includes(param.visibility) ? param.visibility : 'Basic',
+          required: Boolean(param.required),
           sort_order: param.sort_order || 0,
-          parameter_values: param.values || param.parameter_values
+          parameter_values: param.values || param.parameter_values,
+          parameter_config: param.config || param.parameter_config
         });
       }
 
@@ -169,7 +250,7 @@ class DataService {
   async query(sql, params = []) {
     if (!this.db) await this.init();
     
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
           reject(boom.internal(`Database query failed: ${sql}`, err));
@@ -177,13 +258,13 @@ class DataService {
           resolve(rows);
         }
       });
-    });
+    }));
   }
 
   async run(sql, params = []) {
     if (!this.db) await this.init();
     
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           reject(boom.internal(`Database operation failed: ${sql}`, err));
@@ -191,13 +272,13 @@ class DataService {
           resolve({ lastID: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
   async get(sql, params = []) {
     if (!this.db) await this.init();
     
-    return new Promise((resolve, reject) => {
+    return this.statement(() => new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
           reject(boom.internal(`Database query failed: ${sql}`, err));
@@ -205,14 +286,139 @@ class DataService {
           resolve(row);
         }
       });
+    }));
+  }
+
+  // Migrations
+  /**
+   * Load migration modules from migrations/, ordered by file name
+   */
+  async loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+      migrations.push({
+        id: file.replace(/\.js$/, ''),
+        version: module.version,
+        description: module.description || '',
+        up: module.up,
+        down: module.down
+      });
+    }
+    return migrations;
+  }
+
+  async getAppliedMigrations() {
+    await this.run(schema.createTableSQL('schema_migrations', true));
+    const applied = await this.query('SELECT * FROM schema_migrations ORDER BY id ASC');
+    return applied.map(migration => ({
+      ...migration,
+      applied_at: new Date(migration.applied_at)
+    }));
+  }
+
+  async getMigrationStatus() {
+    const migrations = await this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const appliedIds = new Set(applied.map(migration => migration.id));
+
+    return {
+      schema_version: schema.SCHEMA_VERSION,
+      database_version: applied.length > 0 ? applied[applied.length - 1].version : null,
+      applied,
+      pending: migrations
+        .filter(migration => !appliedIds.has(migration.id))
+        .map(({ id, version, description }) => ({ id, version, description }))
+    };
+  }
+
+  /**
+   * Apply pending migrations in order, all in one transaction
+   * @returns {Array} The migrations that were applied
+   */
+  async migrate() {
+    const migrations = await this.loadMigrations();
+    const appliedIds = new Set((await this.getAppliedMigrations()).map(migration => migration.id));
+    const pending = migrations.filter(migration => !appliedIds.has(migration.id));
+    if (pending.length === 0) return [];
+
+    await this.transaction(async () => {
+      const context = this.createMigrationContext();
+      for (const migration of pending) {
+        console.log(`Applying migration ${migration.id}...`);
+        await migration.up(context);
+        await this.recordMigration(migration);
+      }
     });
+    return pending;
   }
 
-  // Categories
-  async getCategories() {
-    const categories = await this.query(
-      `SELECT * FROM categories ORDER BY sort_order ASC, name ASC`
+  /**
+   * Undo the most recently applied migration
+   */
+  async rollbackMigration() {
+    const applied = await this.getAppliedMigrations();
+    const latest = applied[applied.length - 1];
+    if (!latest) throw boom.badRequest('No applied migrations to roll back');
+
+    const migration = (await this.loadMigrations()).find(candidate => candidate.id === latest.id);
+    if (!migration) throw boom.internal(`Migration file for ${latest.id} not found`);
+
+    await this.transaction(async () => {
+      console.log(`Rolling back migration ${migration.id}...`);
+      await migration.down(this.createMigrationContext());
+      await this.run('DELETE FROM schema_migrations WHERE id = ?', [migration.id]);
+    });
+    return migration;
+  }
+
+  async recordMigration(migration) {
+    await this.run(
+      'INSERT INTO schema_migrations (id, version, description) VALUES (?, ?, ?)',
+      [migration.id, migration.version, migration.description]
     );
+  }
+
+  /**
+   * Database helpers handed to migration up/down functions
+   */
+  createMigrationContext() {
+    return {
+      run: (sql, params) => this.run(sql, params),
+      query: (sql, params) => this.query(sql, params),
+      get: (sql, params) => this.get(sql, params),
+      addColumn: async (tableName, definition) => {
+        if (!(await this.hasColumn(tableName, definition.split(' ')[0]))) {
+          await this.run(`ALTER TABLE ${tableName} ADD COLUMN ${definition}`);
+        }
+      },
+      dropColumn: async (tableName, columnName) => {
+        if (await this.hasColumn(tableName, columnName)) {
+          await this.run(`ALTER TABLE ${tableName} DROP COLUMN ${columnName}`);
+        }
+      }
+    };
+  }
+
+  async hasColumn(tableName, columnName) {
+    const columns = await this.query(`PRAGMA table_info(${tableName})`);
+    return columns.some(column => column.name === columnName);
+  }
+
+  // Categories
+  async getCategories(filters = {}) {
+    const categories = filters.visibility
+      ? await this.query(
+        `SELECT * FROM categories WHERE visibility = ? ORDER BY sort_order ASC, name ASC`,
+        [filters.visibility]
+      )
+      : await this.query(
+        `SELECT * FROM categories ORDER BY sort_order ASC, name ASC`
+      );
     return categories.map(category => ({
       ...category,
       created_at: new Date(category.created_at)
@@ -231,13 +437,19 @@ class DataService {
   async createCategory(categoryData) {
     const id = categoryData.id || this.generateId(categoryData.name);
     await this.run(
-      `INSERT INTO categories (id, name, description, sort_order)
-       VALUES (?, ?, ?, ?)`,
+      `INSERT INTO categories (id, name, description, visibility, year, sort_order, system_prompt, image_style, temperature, story_length)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
         categoryData.name,
         categoryData.description || '',
-        categoryData.sort_order || 0
+        categoryData.visibility || 'Show',
+        categoryData.year ?? null,
+        categoryData.sort_order || 0,
+        categoryData.system_prompt ?? null,
+        categoryData.image_style ?? null,
+        categoryData.temperature ?? null,
+        categoryData.story_length ?? null
       ]
     );
     return await this.getCategoryById(id);
@@ -246,17 +458,54 @@ class DataService {
   async updateCategory(id, updates) {
     const existing = await this.getCategoryById(id);
     await this.run(
-      `UPDATE categories SET name = ?, description = ?, sort_order = ? WHERE id = ?`,
+      `UPDATE categories SET name = ?, description = ?, visibility = ?, year = ?, sort_order = ?,
+       system_prompt = ?, image_style = ?, temperature = ?, story_length = ? WHERE id = ?`,
       [
         updates.name || existing.name,
         updates.description !== undefined ? updates.description : existing.description,
+        updates.visibility || existing.visibility,
+        updates.year !== undefined ? updates.year : existing.year,
         updates.sort_order !== undefined ? updates.sort_order : existing.sort_order,
+        updates.system_prompt !== undefined ? updates.system_prompt : existing.system_prompt,
+        updates.image_style !== undefined ? updates.image_style : existing.image_style,
+        updates.temperature !== undefined ? updates.temperature : existing.temperature,
+        updates.story_length !== undefined ? updates.story_length : existing.story_length,
         id
       ]
     );
     return await this.getCategoryById(id);
   }
 
+  /**
+   * Year of the first of categoryIds, in the order given, whose category has one
+   */
+  async getDefaultYearForCategories(categoryIds) {
+    if (categoryIds.length === 0) return null;
+
+    const placeholders = categoryIds.map(() => '?').join(', ');
+    const categories = await this.query(
+      `SELECT id, year FROM categories WHERE id IN (${placeholders}) AND year IS NOT NULL`,
+      categoryIds
+    );
+    const years = new Map(categories.map(category => [category.id, category.year]));
+    const categoryId = categoryIds.find(id => years.has(id));
+    return categoryId ? years.get(categoryId) : null;
+  }
+
+  async getCategoriesByIds(categoryIds) {
+    if (categoryIds.length === 0) return [];
+
+    const placeholders = categoryIds.map(() => '?').join(', ');
+    const categories = await this.query(
+      `SELECT * FROM categories WHERE id IN (${placeholders}) ORDER BY sort_order ASC, name ASC`,
+      categoryIds
+    );
+    return categories.map(category => ({
+      ...category,
+      created_at: new Date(category.created_at)
+    }));
+  }
+
   async deleteCategory(id) {
     const result = await this.run('DELETE FROM categories WHERE id = ?', [id]);
     if (result.changes === 0) throw boom.notFound(`Category with id ${id} not found`);
@@ -272,11 +521,26 @@ class DataService {
     return this.parseParameters(parameters);
   }
 
-  async getParameters() {
+  async getParameters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.categoryId) {
+      conditions.push('p.category_id = ?');
+      params.push(filters.categoryId);
+    }
+    if (filters.visibility) {
+      conditions.push('p.visibility = ?');
+      params.push(filters.visibility);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
     const parameters = await this.query(
       `SELECT p.*, c.name as category_name FROM parameters p 
        LEFT JOIN categories c ON p.category_id = c.id
-       ORDER BY c.name ASC, p.sort_order ASC, p.name ASC`
+       ${whereClause}
+       ORDER BY c.name ASC, p.sort_order ASC, p.name ASC`,
+      params
     );
     return this.parseParameters(parameters);
   }
@@ -292,16 +556,19 @@ class DataService {
     await this.getCategoryById(parameterData.category_id); // Verify category exists
     
     await this.run(
-      `INSERT INTO parameters (id, name, description, type, category_id, sort_order, parameter_values)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO parameters (id, name, description, type, category_id, visibility, required, sort_order, parameter_values, parameter_config)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
         parameterData.name,
         parameterData.description || '',
         parameterData.type,
         parameterData.category_id,
+        parameterData.visibility || 'Basic',
+        parameterData.required ? 1 : 0,
         parameterData.sort_order || 0,
-        parameterData.parameter_values ? JSON.stringify(parameterData.parameter_values) : null
+        parameterData.parameter_values ? JSON.stringify(parameterData.parameter_values) : null,
+        parameterData.parameter_config ? JSON.stringify(parameterData.parameter_config) : null
       ]
     );
     return await this.getParameterById(id);
@@ -311,21 +578,133 @@ class DataService {
     const existing = await this.getParameterById(id);
     if (updates.category_id) await this.getCategoryById(updates.category_id);
     
+    const parameterConfig = updates.parameter_config !== undefined ? updates.parameter_config : existing.parameter_config;
+    
     await this.run(
-      `UPDATE parameters SET name = ?, description = ?, type = ?, category_id = ?, sort_order = ?, parameter_values = ? WHERE id = ?`,
+      `UPDATE parameters SET name = ?, description = ?, type = ?, category_id = ?, visibility = ?, required = ?, sort_order = ?, parameter_values = ?, parameter_config = ? WHERE id = ?`,
       [
         updates.name || existing.name,
         updates.description !== undefined ? updates.description : existing.description,
         updates.type || existing.type,
         updates.category_id || existing.category_id,
+        updates.visibility || existing.visibility,
+        (updates.required !== undefined ? updates.required : existing.required) ? 1 : 0,
         updates.sort_order !== undefined ? updates.sort_order : existing.sort_order,
         updates.parameter_values ? JSON.stringify(updates.parameter_values) : (existing.parameter_values ? JSON.stringify(existing.parameter_values) : null),
+        parameterConfig ? JSON.stringify(parameterConfig) : null,
         id
       ]
     );
     return await this.getParameterById(id);
   }
 
+  /**
+   * Check generation parameters ({ categoryId: { parameterId: value } }) against the catalogue
+   * Returns the canonical values and a list of issues in the same shape as Zod issues
+   */
+  async resolveGenerationParameters(parameters) {
+    const resolved = {};
+    const issues = [];
+    const addIssue = (path, message) => issues.push({ code: 'custom', path: ['parameters', ...path], message });
+
+    const maxParameters = config.get('validation.maxParametersPerRequest');
+    const submittedCount = Object.values(parameters).reduce(
+      (count, values) => count + (values && typeof values === 'object' ? Object.keys(values).length : 1), 0
+    );
+    if (submittedCount > maxParameters) {
+      addIssue([], `At most ${maxParameters} parameters are allowed per request`);
+      return { parameters: resolved, issues };
+    }
+
+    for (const [categoryId, values] of Object.entries(parameters)) {
+      const category = await this.get('SELECT id FROM categories WHERE id = ?', [categoryId]);
+      if (!category) {
+        addIssue([categoryId], `Unknown category: ${categoryId}`);
+        continue;
+      }
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        addIssue([categoryId], 'Expected an object of parameter values');
+        continue;
+      }
+
+      const catalogue = await this.getParametersByCategory(categoryId);
+      const parametersById = new Map(catalogue.map(parameter => [parameter.id, parameter]));
+      const rejected = new Set();
+      resolved[categoryId] = {};
+
+      for (const [parameterId, value] of Object.entries(values)) {
+        const parameter = parametersById.get(parameterId);
+        if (!parameter) {
+          addIssue([categoryId, parameterId], `Unknown parameter ${parameterId} in category ${categoryId}`);
+          continue;
+        }
+        if (value === null || value === undefined || value === '') continue;
+
+        const result = this.resolveParameterValue(parameter, value);
+        if (result.error) {
+          rejected.add(parameterId);
+          addIssue([categoryId, parameterId], result.error);
+        } else {
+          resolved[categoryId][parameterId] = result.value;
+        }
+      }
+
+      catalogue
+        .filter(parameter => parameter.required && !(parameter.id in resolved[categoryId]) && !rejected.has(parameter.id))
+        .forEach(parameter => addIssue([categoryId, parameter.id], `${parameter.name} is required`));
+    }
+
+    return { parameters: resolved, issues };
+  }
+
+  /**
+   * Check one value against its parameter definition
+   * Returns { value } with the canonical value used in prompts, or { error }
+   */
+  resolveParameterValue(parameter, value) {
+    switch (parameter.type) {
+      case 'select': {
+        const options = Array.isArray(parameter.parameter_values) ? parameter.parameter_values : [];
+        const option = options.find(o => o.label === value || (o.id !== undefined && o.id === value));
+        if (!option) return { error: `Must be one of: ${options.map(o => o.label).join(', ')}` };
+        return { value: option.label };
+      }
+
+      case 'number':
+      case 'range': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'Expected a number' };
+
+        const { min, max, step } = parameter.parameter_config || {};
+        if (min !== undefined && number < min) return { error: `Must be at least ${min}` };
+        if (max !== undefined && number > max) return { error: `Must be at most ${max}` };
+        if (step !== undefined) {
+          const steps = (number - (min ?? 0)) / step;
+          if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+            return { error: `Must be in steps of ${step}${min !== undefined ? ` from ${min}` : ''}` };
+          }
+        }
+        return { value: number };
+      }
+
+      case 'boolean': {
+        const labels = parameter.parameter_values && !Array.isArray(parameter.parameter_values)
+          ? parameter.parameter_values
+          : { on: 'Yes', off: 'No' };
+        if (value === true || value === labels.on) return { value: labels.on };
+        if (value === false || value === labels.off) return { value: labels.off };
+        return { error: `Expected true, false, "${labels.on}" or "${labels.off}"` };
+      }
+
+      default: {
+        const maxLength = config.get('validation.maxPromptLength');
+        if (typeof value !== 'string') return { error: 'Expected text' };
+        if (value.length > maxLength) return { error: `Must be at most ${maxLength} characters` };
+        return { value };
+      }
+    }
+  }
+
   async deleteParameter(id) {
     const result = await this.run('DELETE FROM parameters WHERE id = ?', [id]);
     if (result.changes === 0) throw boom.notFound(`Parameter with id ${id} not found`);
@@ -335,26 +714,67 @@ class DataService {
   // Content
   async saveGeneratedContent(contentData) {
     const id = uuidv4();
+    const images = await this.storeImages(id, {
+      original: contentData.image_blob,
+      thumbnail: contentData.image_thumbnail,
+      format: contentData.image_format || 'png'
+    });
 
-    await this.run(
-      `INSERT INTO generated_content (id, title, fiction_content, image_blob, image_thumbnail, image_format, image_size_bytes, thumbnail_size_bytes, prompt_data, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id,
-        contentData.title,
-        contentData.fiction_content,
-        contentData.image_blob || null,
-        contentData.image_thumbnail || null,
-        contentData.image_format || 'png',
-        contentData.image_size_bytes || 0,
-        contentData.thumbnail_size_bytes || 0,
-        JSON.stringify(contentData.prompt_data || {}),
-        JSON.stringify(contentData.metadata || {})
-      ]
-    );
+    try {
+      await this.run(
+        `INSERT INTO generated_content (id, title, fiction_content, image_blob, image_thumbnail, image_storage, image_key, thumbnail_key,
+           image_hash, thumbnail_hash, image_updated_at,
+           image_format, image_size_bytes, thumbnail_size_bytes, prompt_data, metadata, year, parent_id, variant_group)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          contentData.title,
+          contentData.fiction_content,
+          images.image_blob,
+          images.image_thumbnail,
+          images.image_storage,
+          images.image_key,
+          images.thumbnail_key,
+          images.image_hash,
+          images.thumbnail_hash,
+          images.image_hash,
+          contentData.image_format || 'png',
+          contentData.image_size_bytes || 0,
+          contentData.thumbnail_size_bytes || 0,
+          JSON.stringify(contentData.prompt_data || {}),
+          JSON.stringify(contentData.metadata || {}),
+          contentData.year ?? null,
+          contentData.parent_id || null,
+          contentData.variant_group || null
+        ]
+      );
+    } catch (error) {
+      await this.deleteStoredImages([images]);
+      throw error;
+    }
     return await this.getGeneratedContentById(id);
   }
 
+  /**
+   * @param {object} parent - Content item this result was regenerated from; the result joins its variant group
+   */
+  async saveGenerationResult(result, promptData, year = null, parent = null) {
+    return await this.saveGeneratedContent({
+      title: result.title,
+      fiction_content: result.content,
+      image_blob: result.imageBlob || null,
+      image_thumbnail: result.imageThumbnail || null,
+      image_format: result.imageFormat || 'png',
+      image_size_bytes: result.imageSizeBytes || 0,
+      thumbnail_size_bytes: result.thumbnailSizeBytes || 0,
+      prompt_data: promptData,
+      metadata: result.metadata,
+      year,
+      parent_id: parent?.id,
+      variant_group: parent ? parent.variant_group || parent.id : null
+    });
+  }
+
   async getGeneratedContentById(id) {
     const content = await this.get('SELECT * FROM generated_content WHERE id = ?', [id]);
     if (!content) throw boom.notFound(`Content with id ${id} not found`);
@@ -380,36 +800,242 @@ class DataService {
       created_at: new Date(content.created_at)
     };
 
-    // Add image URLs if we have BLOB data stored
-    if (content.image_blob) {
-      result.image_original_url = `/api/images/${id}/original`;
-      result.image_thumbnail_url = `/api/images/${id}/thumbnail`;
+    // Add image URLs if an image is stored in any backend
+    if (this.hasImage(content)) {
+      Object.assign(result, this.getImageUrls(content));
     }
 
     return result;
   }
 
-  async getRecentContent(limit = 20) {
-    const content = await this.query(
-      'SELECT * FROM generated_content ORDER BY created_at DESC LIMIT ?',
-      [limit]
+  /**
+   * Content item with what exports show: category and parameter names and the original image
+   */
+  async getContentForExport(id) {
+    const content = await this.getGeneratedContentById(id);
+    const promptData = Object.entries(content.prompt_data || {})
+      .filter(([, values]) => values && typeof values === 'object');
+    const parameterIds = promptData.flatMap(([, values]) => Object.keys(values));
+    const parameterNames = new Map(parameterIds.length === 0 ? [] : (await this.query(
+      `SELECT id, name FROM parameters WHERE id IN (${parameterIds.map(() => '?').join(', ')})`,
+      parameterIds
+    )).map(parameter => [parameter.id, parameter.name]));
+
+    const parameters = promptData.flatMap(([, values]) => Object.entries(values)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([parameterId, value]) => ({
+        name: parameterNames.get(parameterId) || parameterId.replace(/-/g, ' '),
+        value: Array.isArray(value) ? value.join(', ') : String(value)
+      })));
+    const categories = await this.getCategoriesByIds(promptData.map(([categoryId]) => categoryId));
+    const image = await this.loadImage(content, 'original');
+
+    return {
+      id: content.id,
+      title: content.title,
+      fiction_content: content.fiction_content,
+      year: content.year,
+      created_at: content.created_at,
+      categories: categories.map(category => category.name),
+      parameters,
+      image: image && {
+        buffer: image,
+        format: content.image_format || 'png',
+        url: this.getImageUrls(content).image_original_url
+      }
+    };
+  }
+
+  /**
+   * List content with keyset pagination on the sort key and id
+   * @param {object} options - limit, cursor, sort, order, from, to, year, category, parameter, value, includeContent
+   * @returns {object} { items, total, nextCursor }
+   */
+  async queryContent(options = {}) {
+    const { limit = 20, sort = 'created_at', order = 'desc' } = options;
+    const sortExpression = CONTENT_SORT_EXPRESSIONS[sort];
+    if (!sortExpression) throw boom.badRequest(`Cannot sort content by ${sort}`);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const { conditions, params } = this.buildContentFilters(options);
+    const whereClause = (clauses) => clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const { total } = await this.get(
+      `SELECT COUNT(*) AS total FROM generated_content ${whereClause(conditions)}`,
+      params
+    );
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (options.cursor) {
+      const cursor = this.decodeContentCursor(options.cursor, sort);
+      pageConditions.push(`(${sortExpression}, id) ${direction === 'ASC' ? '>' : '<'} (?, ?)`);
+      pageParams.push(cursor.value, cursor.id);
+    }
+
+    const contentColumn = options.includeContent ? 'fiction_content' : 'substr(fiction_content, 1, 200) AS excerpt';
+    const rows = await this.query(
+      `SELECT ${CONTENT_LIST_COLUMNS}, ${contentColumn}, ${sortExpression} AS sort_value
+       FROM generated_content ${whereClause(pageConditions)}
+       ORDER BY ${sortExpression} ${direction}, id ${direction}
+       LIMIT ?`,
+      [...pageParams, limit + 1]
     );
-    return content.map(item => {
-      const result = {
-        ...item,
-        prompt_data: JSON.parse(item.prompt_data),
-        metadata: item.metadata ? JSON.parse(item.metadata) : null,
-        created_at: new Date(item.created_at)
-      };
 
-      // Add image URLs if we have BLOB data stored
-      if (item.image_blob) {
-        result.image_original_url = `/api/images/${item.id}/original`;
-        result.image_thumbnail_url = `/api/images/${item.id}/thumbnail`;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      items: page.map(row => this.parseContentListItem(row)),
+      total,
+      nextCursor: rows.length > limit ? this.encodeContentCursor(sort, last.sort_value, last.id) : null
+    };
+  }
+
+  /**
+   * WHERE conditions for content listings; parameter values are matched in prompt_data
+   */
+  buildContentFilters(options) {
+    const conditions = [];
+    const params = [];
+
+    if (options.from) {
+      conditions.push('created_at >= ?');
+      params.push(options.from);
+    }
+    if (options.to) {
+      conditions.push('created_at <= ?');
+      params.push(options.to);
+    }
+    if (options.year !== undefined && options.year !== null) {
+      conditions.push('year = ?');
+      params.push(options.year);
+    }
+    if (options.category) {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM json_each(generated_content.prompt_data) AS category
+         WHERE category.key = ? AND category.type = 'object')`
+      );
+      params.push(options.category);
+    }
+    if (options.parameter) {
+      // Non-object entries are swapped for '{}' so json_each never sees a bare string
+      let condition = `EXISTS (SELECT 1 FROM json_each(generated_content.prompt_data) AS category,
+         json_each(CASE WHEN category.type = 'object' THEN category.value ELSE '{}' END) AS param
+         WHERE param.key = ?`;
+      params.push(options.parameter);
+      if (options.value !== undefined) {
+        condition += ' AND CAST(param.value AS TEXT) = ?';
+        params.push(options.value);
       }
+      conditions.push(`${condition})`);
+    }
 
-      return result;
-    });
+    return { conditions, params };
+  }
+
+  encodeContentCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify({ sort, value, id })).toString('base64url');
+  }
+
+  decodeContentCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+      throw boom.badRequest('Invalid cursor');
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !('value' in decoded)) {
+      throw boom.badRequest('Invalid cursor');
+    }
+    if (decoded.sort !== sort) {
+      throw boom.badRequest(`Cursor was issued for sort=${decoded.sort}`);
+    }
+    return decoded;
+  }
+
+  /**
+   * Full-text search over titles and stories, best matches first
+   * Results carry the highlighted title and a snippet of the story around the matches
+   */
+  async searchContent(options) {
+    const { limit = 20 } = options;
+    const match = this.buildSearchQuery(options.q);
+    const { open, close, ellipsis, snippetTokens } = SEARCH_HIGHLIGHT;
+
+    const pageConditions = [];
+    const pageParams = [];
+    if (options.cursor) {
+      const cursor = this.decodeContentCursor(options.cursor, 'relevance');
+      pageConditions.push('(matches.rank, generated_content.id) > (?, ?)');
+      pageParams.push(cursor.value, cursor.id);
+    }
+
+    // bm25 weights: content_id is not indexed, title matches count more than story matches
+    const { total } = await this.get('SELECT COUNT(*) AS total FROM content_search WHERE content_search MATCH ?', [match]);
+    const rows = await this.query(
+      `WITH matches AS (
+         SELECT content_id, bm25(content_search, 0, 5, 1) AS rank,
+           highlight(content_search, 1, ?, ?) AS title_highlight,
+           snippet(content_search, 2, ?, ?, ?, ?) AS snippet
+         FROM content_search WHERE content_search MATCH ?
+       )
+       SELECT ${CONTENT_LIST_COLUMNS}, matches.rank, matches.title_highlight, matches.snippet
+       FROM matches JOIN generated_content ON generated_content.id = matches.content_id
+       ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+       ORDER BY matches.rank, generated_content.id
+       LIMIT ?`,
+      [open, close, open, close, ellipsis, snippetTokens, match, ...pageParams, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      items: page.map(({ rank, title_highlight: titleHighlight, snippet, ...row }) => ({
+        ...this.parseContentListItem(row),
+        title_highlight: highlightHtml(titleHighlight),
+        snippet: highlightHtml(snippet),
+        score: -rank
+      })),
+      total,
+      nextCursor: rows.length > limit ? this.encodeContentCursor('relevance', last.rank, last.id) : null
+    };
+  }
+
+  /**
+   * Turn a user query into an FTS5 expression
+   * "quoted phrases" and words are matched together; a trailing * makes either a prefix.
+   * Every term is quoted, so FTS5 operators and punctuation in the input are taken literally.
+   */
+  buildSearchQuery(q) {
+    const terms = (q.match(/"[^"]*"\*?|[^\s"]+/g) || [])
+      .map(token => {
+        const prefix = token.endsWith('*');
+        const text = token.replace(/\*+$/, '').replace(/"/g, '').trim();
+        return text ? `"${text}"${prefix ? '*' : ''}` : null;
+      })
+      .filter(Boolean);
+
+    if (terms.length === 0) {
+      throw boom.badRequest('Search query must contain at least one word');
+    }
+    return terms.join(' ');
+  }
+
+  parseContentListItem(row) {
+    const { has_image: hasImage, image_hash: imageHash, thumbnail_hash: thumbnailHash, ...item } = row;
+    delete item.sort_value;
+    const result = {
+      ...item,
+      prompt_data: JSON.parse(item.prompt_data),
+      metadata: item.metadata ? JSON.parse(item.metadata) : null,
+      created_at: new Date(item.created_at)
+    };
+
+    if (hasImage) {
+      Object.assign(result, this.getImageUrls({ id: item.id, image_hash: imageHash, thumbnail_hash: thumbnailHash }));
+    }
+
+    return result;
   }
 
   async updateGeneratedContent(id, updates) {
@@ -426,58 +1052,1169 @@ class DataService {
   }
 
   async deleteGeneratedContent(id) {
+    const storedImages = await this.query(
+      `SELECT image_storage, image_key, thumbnail_key FROM generated_content WHERE id = ? AND image_storage IS NOT NULL
+       UNION ALL
+       SELECT image_storage, image_key, thumbnail_key FROM image_history WHERE content_id = ? AND image_storage IS NOT NULL`,
+      [id, id]
+    );
     const result = await this.run('DELETE FROM generated_content WHERE id = ?', [id]);
     if (result.changes === 0) throw boom.notFound(`Content with id ${id} not found`);
+    await this.run('UPDATE generated_content SET parent_id = NULL WHERE parent_id = ?', [id]);
+    await this.deleteStoredImages(storedImages);
     return { success: true, message: 'Content deleted successfully' };
   }
 
-  // Settings
-  async getSetting(key) {
-    const setting = await this.get('SELECT * FROM settings WHERE key = ?', [key]);
-    if (!setting) throw boom.notFound(`Setting with key ${key} not found`);
-    return this.parseSetting(setting);
+  /**
+   * Every item in the variant group of a content item, the original first
+   * The group is named after the original, so it stays together if the original is deleted
+   */
+  async getContentVariants(id) {
+    const content = await this.get('SELECT id, variant_group FROM generated_content WHERE id = ?', [id]);
+    if (!content) throw boom.notFound(`Content with id ${id} not found`);
+
+    const group = content.variant_group || content.id;
+    const rows = await this.query(
+      `SELECT ${CONTENT_LIST_COLUMNS}, substr(fiction_content, 1, 200) AS excerpt
+       FROM generated_content WHERE id = ? OR variant_group = ?
+       ORDER BY id = ? DESC, created_at, rowid`,
+      [group, group, group]
+    );
+    return { variantGroup: group, items: rows.map(row => this.parseContentListItem(row)) };
   }
 
-  async getSettings() {
-    const settings = await this.query('SELECT * FROM settings ORDER BY key ASC');
-    const parsed = {};
-    settings.forEach(setting => {
-      const parsedSetting = this.parseSetting(setting);
-      parsed[setting.key] = parsedSetting.value;
+  // Image history
+  /**
+   * Replace the image of a content item in one transaction, keeping the current image in image_history
+   * @param {object} image - Image generation result (imageBlob, imageThumbnail, imageFormat, sizes, metadata, promptTemplates)
+   */
+  async replaceContentImage(id, image) {
+    const stored = await this.storeImages(id, {
+      original: image.imageBlob,
+      thumbnail: image.imageThumbnail,
+      format: image.imageFormat || 'png'
     });
-    return parsed;
-  }
 
-  async setSetting(key, value, dataType = 'string') {
-    const stringValue = this.stringifySettingValue(value, dataType);
-    await this.run(
-      `INSERT OR REPLACE INTO settings (key, value, data_type) VALUES (?, ?, ?)`,
-      [key, stringValue, dataType]
-    );
-    return await this.getSetting(key);
+    try {
+      await this.transaction(async () => {
+        const content = await this.getGeneratedContentById(id);
+        await this.archiveContentImage(content);
+        await this.writeContentImage(content, {
+          ...stored,
+          image_format: image.imageFormat,
+          image_size_bytes: image.imageSizeBytes,
+          thumbnail_size_bytes: image.thumbnailSizeBytes,
+          metadata: { image: image.metadata, image_suffix: image.promptTemplates?.image_suffix }
+        });
+      });
+    } catch (error) {
+      await this.deleteStoredImages([stored]);
+      throw error;
+    }
   }
 
-  // Utility methods
-  generateId(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+  /**
+   * Put a previous image back; the image it replaces goes into the history, so a rollback can be undone
+   * @param {string} historyId - Entry to restore, defaults to the most recent one
+   */
+  async restoreContentImage(id, historyId = null) {
+    return this.transaction(async () => {
+      const content = await this.getGeneratedContentById(id);
+      const entry = historyId
+        ? await this.get('SELECT * FROM image_history WHERE id = ? AND content_id = ?', [historyId, id])
+        : await this.get('SELECT * FROM image_history WHERE content_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1', [id]);
+      if (!entry) {
+        throw boom.notFound(historyId ? `Image history entry ${historyId} not found` : `Content with id ${id} has no previous image`);
+      }
+
+      await this.run('DELETE FROM image_history WHERE id = ?', [entry.id]);
+      await this.archiveContentImage(content);
+      await this.writeContentImage(content, { ...entry, metadata: JSON.parse(entry.metadata) });
+    });
   }
 
-  parseParameters(parameters) {
-    return parameters.map(param => ({
-      ...param,
-      required: Boolean(param.required),
-      parameter_values: param.parameter_values ? JSON.parse(param.parameter_values) : null,
-      parameter_config: param.parameter_config ? JSON.parse(param.parameter_config) : null,
-      created_at: new Date(param.created_at)
-    }));
+  async getImageHistory(contentId) {
+    await this.getGeneratedContentById(contentId);
+    const rows = await this.query(
+      `SELECT id, content_id, image_format, image_size_bytes, thumbnail_size_bytes, metadata, created_at
+       FROM image_history WHERE content_id = ? ORDER BY created_at DESC, rowid DESC`,
+      [contentId]
+    );
+    return rows.map(row => ({ ...row, metadata: JSON.parse(row.metadata), created_at: new Date(row.created_at) }));
   }
 
-  parseSetting(setting) {
+  async archiveContentImage(content) {
+    if (!this.hasImage(content)) return;
+    await this.run(
+      `INSERT INTO image_history (id, content_id, image_blob, image_thumbnail, image_storage, image_key, thumbnail_key,
+         image_hash, thumbnail_hash, image_format, image_size_bytes, thumbnail_size_bytes, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        content.id,
+        content.image_blob,
+        content.image_thumbnail,
+        content.image_storage,
+        content.image_key,
+        content.thumbnail_key,
+        content.image_hash,
+        content.thumbnail_hash,
+        content.image_format,
+        content.image_size_bytes,
+        content.thumbnail_size_bytes,
+        JSON.stringify({
+          image: content.metadata?.image ?? null,
+          image_suffix: content.metadata?.prompt_templates?.image_suffix
+        })
+      ]
+    );
+  }
+
+  /**
+   * Store image columns and fold the image metadata ({ image, image_suffix }) back into the content metadata
+   */
+  async writeContentImage(content, image) {
+    const promptTemplates = { ...content.metadata?.prompt_templates };
+    delete promptTemplates.image_suffix;
+    const metadata = {
+      ...content.metadata,
+      image: image.metadata.image ?? null,
+      prompt_templates: {
+        ...promptTemplates,
+        ...(image.metadata.image_suffix && { image_suffix: image.metadata.image_suffix })
+      }
+    };
+
+    await this.run(
+      `UPDATE generated_content SET image_blob = ?, image_thumbnail = ?, image_storage = ?, image_key = ?, thumbnail_key = ?,
+         image_hash = ?, thumbnail_hash = ?, image_updated_at = CURRENT_TIMESTAMP,
+         image_format = ?, image_size_bytes = ?, thumbnail_size_bytes = ?, metadata = ?
+       WHERE id = ?`,
+      [
+        image.image_blob || null,
+        image.image_thumbnail || null,
+        image.image_storage || null,
+        image.image_key || null,
+        image.thumbnail_key || null,
+        image.image_hash || null,
+        image.thumbnail_hash || null,
+        image.image_format || 'png',
+        image.image_size_bytes || 0,
+        image.thumbnail_size_bytes || 0,
+        JSON.stringify(metadata),
+        content.id
+      ]
+    );
+    await this.run('DELETE FROM image_renditions WHERE content_id = ?', [content.id]);
+  }
+
+  // Image storage
+  /**
+   * Backend registered under a name in config.js storage.backends; null for 'database'
+   */
+  getImageStorage(name = config.get('storage.images')) {
+    const storageConfig = config.getStorageConfig(name);
+    return storageConfig ? createImageStorage(storageConfig) : null;
+  }
+
+  /**
+   * Write an original and thumbnail to a backend, under fresh keys so earlier copies stay valid for image_history
+   * @returns {object} Column values: BLOBs for 'database', otherwise image_storage and the object keys; always the image hashes
+   */
+  async storeImages(contentId, { original, thumbnail, format = 'png' }, backend = config.get('storage.images')) {
+    const storage = this.getImageStorage(backend);
+    const hashes = { image_hash: hashImage(original), thumbnail_hash: hashImage(thumbnail) };
+    if (!storage || !original) {
+      return { image_blob: original || null, image_thumbnail: thumbnail || null, image_storage: null, image_key: null, thumbnail_key: null, ...hashes };
+    }
+
+    const prefix = `${contentId}/${uuidv4()}`;
+    const imageKey = `${prefix}-original.${format}`;
+    const thumbnailKey = thumbnail ? `${prefix}-thumbnail.png` : null;
+    await storage.put(imageKey, original, `image/${format}`);
+    if (thumbnail) await storage.put(thumbnailKey, thumbnail, 'image/png');
+
+    return { image_blob: null, image_thumbnail: null, image_storage: storage.name, image_key: imageKey, thumbnail_key: thumbnailKey, ...hashes };
+  }
+
+  /**
+   * Read the original or thumbnail of a content item or image history entry from the backend that holds it
+   * @param {string} variant - 'original' or 'thumbnail'
+   * @returns {Buffer|null}
+   */
+  async loadImage(row, variant = 'original') {
+    if (!row.image_storage) {
+      return (variant === 'original' ? row.image_blob : row.image_thumbnail) || null;
+    }
+    const key = variant === 'original' ? row.image_key : row.thumbnail_key;
+    return key ? await this.getImageStorage(row.image_storage).get(key) : null;
+  }
+
+  /**
+   * Content item with image_blob and image_thumbnail filled in from its backend
+   */
+  async loadContentImages(content) {
+    return {
+      ...content,
+      image_blob: await this.loadImage(content, 'original'),
+      image_thumbnail: await this.loadImage(content, 'thumbnail')
+    };
+  }
+
+  hasImage(row) {
+    return Boolean(row.image_blob || row.image_key);
+  }
+
+  /**
+   * Delete objects that no row points at any more; failures are logged rather than thrown
+   * @param {object[]} rows - Rows or storeImages results with image_storage, image_key and thumbnail_key
+   */
+  async deleteStoredImages(rows) {
+    for (const row of rows) {
+      if (!row.image_storage) continue;
+      const storage = this.getImageStorage(row.image_storage);
+      for (const key of [row.image_key, row.thumbnail_key].filter(Boolean)) {
+        try {
+          await storage.delete(key);
+        } catch (error) {
+          console.warn(`Failed to delete stored image ${key}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Move every image of generated content and image history into one backend
+   * Rows are moved one at a time: the copy is written, the row updated, then the old copy deleted.
+   * @returns {object} { content, history, missing } - rows moved per table, and rows whose image could not be read
+   */
+  async moveImages(target = config.get('storage.images')) {
+    config.getStorageConfig(target);
+    const moved = { content: 0, history: 0, missing: [] };
+    const tables = [
+      { table: 'generated_content', owner: 'id', counter: 'content' },
+      { table: 'image_history', owner: 'content_id', counter: 'history' }
+    ];
+
+    for (const { table, owner, counter } of tables) {
+      const pending = await this.query(
+        `SELECT id FROM ${table}
+         WHERE (image_blob IS NOT NULL OR image_key IS NOT NULL) AND COALESCE(image_storage, 'database') != ?`,
+        [target]
+      );
+
+      for (const { id } of pending) {
+        const row = await this.get(`SELECT *, ${owner} AS owner_id FROM ${table} WHERE id = ?`, [id]);
+        const original = await this.loadImage(row, 'original');
+        if (!original) {
+          moved.missing.push(`${table}/${id}`);
+          continue;
+        }
+
+        const stored = await this.storeImages(row.owner_id, {
+          original,
+          thumbnail: await this.loadImage(row, 'thumbnail'),
+          format: row.image_format || 'png'
+        }, target);
+        await this.run(
+          `UPDATE ${table} SET image_blob = ?, image_thumbnail = ?, image_storage = ?, image_key = ?, thumbnail_key = ?,
+             image_hash = ?, thumbnail_hash = ? WHERE id = ?`,
+          [stored.image_blob, stored.image_thumbnail, stored.image_storage, stored.image_key, stored.thumbnail_key,
+            stored.image_hash, stored.thumbnail_hash, id]
+        );
+        await this.deleteStoredImages([row]);
+        moved[counter]++;
+      }
+    }
+
+    return moved;
+  }
+
+  // Image versions
+  /**
+   * URLs of the original and thumbnail, with a ?v= token that changes whenever the image does
+   * @param {object} row - Content row with id, image_hash and thumbnail_hash
+   */
+  getImageUrls(row) {
+    const url = (variant, hash) => `/api/images/${row.id}/${variant}${hash ? `?v=${this.getImageVersion(hash)}` : ''}`;
+    return {
+      image_original_url: url('original', row.image_hash),
+      image_thumbnail_url: url('thumbnail', row.thumbnail_hash)
+    };
+  }
+
+  getImageVersion(hash) {
+    return hash ? hash.slice(0, IMAGE_VERSION_LENGTH) : null;
+  }
+
+  /**
+   * SHA-256 of a content item's original or thumbnail
+   * Images saved in other backends before hashes were recorded are read and hashed once.
+   * @returns {object} { hash, buffer } - buffer is only set when the image had to be read
+   */
+  async getImageHash(content, variant = 'original') {
+    const column = variant === 'original' ? 'image_hash' : 'thumbnail_hash';
+    if (content[column]) return { hash: content[column], buffer: null };
+
+    const buffer = await this.loadImage(content, variant);
+    if (!buffer) return { hash: null, buffer: null };
+    const hash = hashImage(buffer);
+    await this.run(`UPDATE generated_content SET ${column} = ? WHERE id = ?`, [hash, content.id]);
+    return { hash, buffer };
+  }
+
+  /**
+   * When the image of a content item last changed; SQLite timestamps are UTC
+   */
+  getImageUpdatedAt(content) {
+    const value = content.image_updated_at;
+    return value ? parseTimestamp(value) : new Date(content.created_at);
+  }
+
+  // Image renditions
+  async getImageRendition(contentId, spec) {
+    const rendition = await this.get(
+      `SELECT id, format, image_blob, size_bytes FROM image_renditions
+       WHERE content_id = ? AND width = ? AND height = ? AND fit = ? AND format = ?`,
+      [contentId, spec.width || 0, spec.height || 0, spec.fit, spec.format]
+    );
+    if (rendition) {
+      await this.run('UPDATE image_renditions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [rendition.id]);
+    }
+    return rendition || null;
+  }
+
+  /**
+   * Cache a rendition, keeping only the most recently used maxPerImage renditions of the image
+   */
+  async saveImageRendition(contentId, spec, buffer) {
+    const { maxPerImage } = config.get('images.renditions');
+    await this.run(
+      `INSERT OR REPLACE INTO image_renditions (id, content_id, width, height, fit, format, image_blob, size_bytes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), contentId, spec.width || 0, spec.height || 0, spec.fit, spec.format, buffer, buffer.length]
+    );
+    await this.run(
+      `DELETE FROM image_renditions WHERE content_id = ? AND id NOT IN (
+         SELECT id FROM image_renditions WHERE content_id = ? ORDER BY last_used_at DESC, rowid DESC LIMIT ?
+       )`,
+      [contentId, contentId, maxPerImage]
+    );
+  }
+
+  // Collections
+  async getAllCollections() {
+    const rows = await this.query(
+      `SELECT c.*, COUNT(ci.content_id) AS item_count,
+         COUNT(CASE WHEN gc.image_blob IS NOT NULL OR gc.image_key IS NOT NULL THEN 1 END) AS image_count
+       FROM collections c
+       LEFT JOIN collection_items ci ON ci.collection_id = c.id
+       LEFT JOIN generated_content gc ON gc.id = ci.content_id
+       GROUP BY c.id
+       ORDER BY c.created_at DESC, c.rowid DESC`
+    );
+    return rows.map(row => this.parseCollection(row));
+  }
+
+  /**
+   * Collection with its stories in order, as content list items with a position
+   */
+  async getCollectionById(id) {
+    const collection = await this.getCollectionRow(id);
+    const rows = await this.query(
+      `SELECT ${CONTENT_LIST_COLUMNS}, substr(fiction_content, 1, 200) AS excerpt, ci.position, ci.added_at
+       FROM collection_items ci JOIN generated_content gc ON gc.id = ci.content_id
+       WHERE ci.collection_id = ?
+       ORDER BY ci.position, ci.rowid`,
+      [id]
+    );
+    const items = rows.map(row => ({ ...this.parseContentListItem(row), added_at: new Date(row.added_at) }));
+    return {
+      ...this.parseCollection({
+        ...collection,
+        item_count: items.length,
+        image_count: items.filter(item => item.image_thumbnail_url).length
+      }),
+      items
+    };
+  }
+
+  async getCollectionRow(id) {
+    const collection = await this.get('SELECT * FROM collections WHERE id = ?', [id]);
+    if (!collection) throw boom.notFound(`Collection with id ${id} not found`);
+    return collection;
+  }
+
+  parseCollection(row) {
+    const { image_count: imageCount, ...collection } = row;
+    return {
+      ...collection,
+      cover_url: imageCount > 0 ? `/api/collections/${row.id}/cover` : null,
+      created_at: new Date(row.created_at),
+      updated_at: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * @param {object} collectionData - name, description and optionally content_ids to start with
+   */
+  async createCollection(collectionData) {
+    const id = uuidv4();
+    await this.transaction(async () => {
+      await this.run(
+        'INSERT INTO collections (id, name, description) VALUES (?, ?, ?)',
+        [id, collectionData.name, collectionData.description || '']
+      );
+      await this.writeCollectionOrder(id, collectionData.content_ids || [], { insert: true });
+    });
+    return await this.getCollectionById(id);
+  }
+
+  async updateCollection(id, updates) {
+    const existing = await this.getCollectionRow(id);
+    await this.run(
+      'UPDATE collections SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [
+        updates.name || existing.name,
+        updates.description !== undefined ? updates.description : existing.description,
+        id
+      ]
+    );
+    return await this.getCollectionById(id);
+  }
+
+  async deleteCollection(id) {
+    const result = await this.run('DELETE FROM collections WHERE id = ?', [id]);
+    if (result.changes === 0) throw boom.notFound(`Collection with id ${id} not found`);
+    return { success: true, message: 'Collection deleted successfully' };
+  }
+
+  /**
+   * Add a story at a position (0 is first), or at the end when no position is given
+   */
+  async addCollectionItem(id, contentId, position = null) {
+    await this.transaction(async () => {
+      const contentIds = await this.getCollectionContentIds(id);
+      if (contentIds.includes(contentId)) {
+        throw boom.conflict(`Content ${contentId} is already in the collection`);
+      }
+      const index = position === null ? contentIds.length : Math.min(position, contentIds.length);
+      contentIds.splice(index, 0, contentId);
+      await this.writeCollectionOrder(id, contentIds, { insert: [contentId] });
+    });
+    return await this.getCollectionById(id);
+  }
+
+  async removeCollectionItem(id, contentId) {
+    await this.transaction(async () => {
+      const contentIds = await this.getCollectionContentIds(id);
+      if (!contentIds.includes(contentId)) {
+        throw boom.notFound(`Content ${contentId} is not in the collection`);
+      }
+      await this.run('DELETE FROM collection_items WHERE collection_id = ? AND content_id = ?', [id, contentId]);
+      await this.writeCollectionOrder(id, contentIds.filter(memberId => memberId !== contentId));
+    });
+    return await this.getCollectionById(id);
+  }
+
+  /**
+   * Put the stories in a new order; contentIds must list every member exactly once
+   */
+  async reorderCollection(id, contentIds) {
+    await this.transaction(async () => {
+      const current = await this.getCollectionContentIds(id);
+      const sameMembers = contentIds.length === current.length && current.every(contentId => contentIds.includes(contentId));
+      if (!sameMembers) {
+        throw boom.badRequest('content_ids must list every story in the collection exactly once');
+      }
+      await this.writeCollectionOrder(id, contentIds);
+    });
+    return await this.getCollectionById(id);
+  }
+
+  async getCollectionContentIds(id) {
+    await this.getCollectionRow(id);
+    const rows = await this.query(
+      'SELECT content_id FROM collection_items WHERE collection_id = ? ORDER BY position, rowid',
+      [id]
+    );
+    return rows.map(row => row.content_id);
+  }
+
+  /**
+   * Number the members 0..n-1 in the given order and mark the collection as changed
+   * @param {object} options - insert: true to insert every id, or the ids that are not members yet
+   */
+  async writeCollectionOrder(id, contentIds, { insert = [] } = {}) {
+    const maxItems = config.get('validation.maxCollectionItems');
+    if (contentIds.length > maxItems) {
+      throw boom.badRequest(`A collection can hold at most ${maxItems} stories`);
+    }
+
+    const inserted = insert === true ? contentIds : insert;
+    if (inserted.length > 0) {
+      const placeholders = inserted.map(() => '?').join(', ');
+      const found = await this.query(`SELECT id FROM generated_content WHERE id IN (${placeholders})`, inserted);
+      const missing = inserted.filter(contentId => !found.some(row => row.id === contentId));
+      if (missing.length > 0) throw boom.notFound(`Content not found: ${missing.join(', ')}`);
+    }
+
+    for (const [position, contentId] of contentIds.entries()) {
+      if (inserted.includes(contentId)) {
+        await this.run(
+          'INSERT INTO collection_items (collection_id, content_id, position) VALUES (?, ?, ?)',
+          [id, contentId, position]
+        );
+      } else {
+        await this.run(
+          'UPDATE collection_items SET position = ? WHERE collection_id = ? AND content_id = ?',
+          [position, id, contentId]
+        );
+      }
+    }
+    await this.run('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  /**
+   * The first members with thumbnails, which make up the cover, and validators for the cover image
+   * @returns {object} { members, etag, lastModified }; members is empty when no story has an image
+   */
+  async getCollectionCover(id) {
+    const collection = await this.getCollectionRow(id);
+    const candidates = await this.query(
+      `SELECT gc.* FROM collection_items ci JOIN generated_content gc ON gc.id = ci.content_id
+       WHERE ci.collection_id = ? AND (gc.image_blob IS NOT NULL OR gc.image_key IS NOT NULL)
+       ORDER BY ci.position, ci.rowid LIMIT ?`,
+      [id, config.get('images.collectionCover.tiles')]
+    );
+
+    const members = [];
+    const hashes = [];
+    for (const candidate of candidates) {
+      const { hash } = await this.getImageHash(candidate, 'thumbnail');
+      if (!hash) continue;
+      members.push(candidate);
+      hashes.push(hash);
+    }
+
+    const updates = [parseTimestamp(collection.updated_at), ...members.map(member => this.getImageUpdatedAt(member))];
+    return {
+      members,
+      etag: hashImage(Buffer.from(hashes.join('\n'))),
+      lastModified: new Date(Math.max(...updates.map(date => date.getTime())))
+    };
+  }
+
+  /**
+   * Collection with every story prepared for export, in order
+   */
+  async getCollectionForExport(id) {
+    const collection = await this.getCollectionRow(id);
+    const stories = [];
+    for (const contentId of await this.getCollectionContentIds(id)) {
+      stories.push(await this.getContentForExport(contentId));
+    }
+    return {
+      ...collection,
+      created_at: parseTimestamp(collection.created_at),
+      updated_at: parseTimestamp(collection.updated_at),
+      stories
+    };
+  }
+
+  // Generation jobs
+  async createGenerationJob(requestData) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO generation_jobs (id, status, progress, request_data) VALUES (?, 'queued', 0, ?)`,
+      [id, JSON.stringify(requestData)]
+    );
+    return await this.getGenerationJobById(id);
+  }
+
+  async getGenerationJobById(id) {
+    const job = await this.get('SELECT * FROM generation_jobs WHERE id = ?', [id]);
+    if (!job) throw boom.notFound(`Generation job with id ${id} not found`);
+    return this.parseGenerationJob(job);
+  }
+
+  async startGenerationJob(id) {
+    await this.run(
+      `UPDATE generation_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id]
+    );
+  }
+
+  async updateGenerationJobProgress(id, stage, progress) {
+    await this.run(
+      'UPDATE generation_jobs SET stage = ?, progress = ? WHERE id = ?',
+      [stage, progress, id]
+    );
+  }
+
+  async completeGenerationJob(id, contentId) {
+    await this.run(
+      `UPDATE generation_jobs SET status = 'succeeded', progress = 100, content_id = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [contentId, id]
+    );
+  }
+
+  async failGenerationJob(id, message) {
+    await this.run(
+      `UPDATE generation_jobs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [message, id]
+    );
+  }
+
+  async failInterruptedGenerationJobs() {
+    const result = await this.run(
+      `UPDATE generation_jobs SET status = 'failed', error = 'Server restarted before the job completed', completed_at = CURRENT_TIMESTAMP
+       WHERE status IN ('queued', 'running')`
+    );
+    return result.changes;
+  }
+
+  // Prompt templates
+  async getPromptTemplates(filters = {}) {
+    let sql = 'SELECT * FROM prompt_templates';
+    const params = [];
+
+    if (filters.name) {
+      sql += ' WHERE name = ?';
+      params.push(filters.name);
+    }
+
+    sql += ' ORDER BY name ASC, version DESC';
+    const templates = await this.query(sql, params);
+    return templates.map(template => this.parsePromptTemplate(template));
+  }
+
+  async getPromptTemplateById(id) {
+    const template = await this.get('SELECT * FROM prompt_templates WHERE id = ?', [id]);
+    if (!template) throw boom.notFound(`Prompt template with id ${id} not found`);
+    return this.parsePromptTemplate(template);
+  }
+
+  /**
+   * Get the active version of each template, keyed by template name
+   */
+  async getActivePromptTemplates() {
+    const templates = await this.query('SELECT * FROM prompt_templates WHERE is_active = 1');
+    return Object.fromEntries(
+      templates.map(template => [template.name, this.parsePromptTemplate(template)])
+    );
+  }
+
+  /**
+   * Create the next version of a named template
+   */
+  async createPromptTemplate(templateData) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO prompt_templates (id, name, version, body, description)
+       SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ? FROM prompt_templates WHERE name = ?`,
+      [id, templateData.name, templateData.body, templateData.description || '', templateData.name]
+    );
+    return await this.getPromptTemplateById(id);
+  }
+
+  /**
+   * Only the description can change; new wording is saved as a new version
+   * so the version recorded on generated content always matches what was used
+   */
+  async updatePromptTemplate(id, updates) {
+    const existing = await this.getPromptTemplateById(id);
+    await this.run(
+      'UPDATE prompt_templates SET description = ? WHERE id = ?',
+      [updates.description !== undefined ? updates.description : existing.description, id]
+    );
+    return await this.getPromptTemplateById(id);
+  }
+
+  async activatePromptTemplate(id) {
+    const template = await this.getPromptTemplateById(id);
+    await this.run(
+      'UPDATE prompt_templates SET is_active = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE name = ?',
+      [id, template.name]
+    );
+    return await this.getPromptTemplateById(id);
+  }
+
+  async deactivatePromptTemplate(id) {
+    await this.getPromptTemplateById(id);
+    await this.run('UPDATE prompt_templates SET is_active = 0 WHERE id = ?', [id]);
+    return await this.getPromptTemplateById(id);
+  }
+
+  async deletePromptTemplate(id) {
+    const template = await this.getPromptTemplateById(id);
+    if (template.is_active) {
+      throw boom.conflict(`Prompt template ${template.name} v${template.version} is active; deactivate it before deleting`);
+    }
+    await this.run('DELETE FROM prompt_templates WHERE id = ?', [id]);
+    return { success: true, message: 'Prompt template deleted successfully' };
+  }
+
+  // API keys
+  async getApiKeys() {
+    const keys = await this.query(
+      'SELECT id, name, key_prefix, role, last_used_at, revoked_at, created_at FROM api_keys ORDER BY created_at DESC'
+    );
+    return keys.map(key => this.parseApiKey(key));
+  }
+
+  async getApiKeyById(id) {
+    const key = await this.get(
+      'SELECT id, name, key_prefix, role, last_used_at, revoked_at, created_at FROM api_keys WHERE id = ?',
+      [id]
+    );
+    if (!key) throw boom.notFound(`API key with id ${id} not found`);
+    return this.parseApiKey(key);
+  }
+
+  async getActiveApiKeyByHash(keyHash) {
+    const key = await this.get(
+      'SELECT id, name, key_prefix, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [keyHash]
+    );
+    return key || null;
+  }
+
+  async getActiveApiKeyById(id) {
+    const key = await this.get(
+      'SELECT id, name, key_prefix, role FROM api_keys WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return key || null;
+  }
+
+  async createApiKey(keyData, keyHash, keyPrefix) {
+    const id = uuidv4();
+    await this.run(
+      'INSERT INTO api_keys (id, name, key_hash, key_prefix, role) VALUES (?, ?, ?, ?, ?)',
+      [id, keyData.name, keyHash, keyPrefix, keyData.role]
+    );
+    return await this.getApiKeyById(id);
+  }
+
+  async touchApiKey(id) {
+    await this.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  async revokeApiKey(id) {
+    await this.getApiKeyById(id);
+    await this.run(
+      'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ?',
+      [id]
+    );
+    return await this.getApiKeyById(id);
+  }
+
+  // Settings
+  async getSetting(key) {
+    const setting = await this.get('SELECT * FROM settings WHERE key = ?', [key]);
+    if (!setting) throw boom.notFound(`Setting with key ${key} not found`);
+    return this.parseSetting(setting);
+  }
+
+  async getSettings() {
+    const settings = await this.query('SELECT * FROM settings ORDER BY key ASC');
+    const parsed = {};
+    settings.forEach(setting => {
+      const parsedSetting = this.parseSetting(setting);
+      parsed[setting.key] = parsedSetting.value;
+    });
+    return parsed;
+  }
+
+  /**
+   * @param {object} change - { action, actor } recorded in settings_history; actor is the principal making the change
+   */
+  async setSetting(key, value, dataType = 'string', change = {}) {
+    await this.transaction(() => this.writeSetting(key, value, dataType, change));
+    return await this.getSetting(key);
+  }
+
+  /**
+   * Write several settings in one transaction; fails without writing anything if the
+   * settings table would end up with more than validation.maxSettingsKeys keys
+   * @param {Array} entries - { key, value, dataType } per setting
+   */
+  async updateSettings(entries, actor = null) {
+    await this.transaction(async () => {
+      for (const { key, value, dataType } of entries) {
+        await this.writeSetting(key, value, dataType, { actor });
+      }
+      await this.assertSettingsLimit();
+    });
+  }
+
+  /**
+   * Put a registered setting back to its default, or remove a setting outside the registry
+   */
+  async resetSetting(key, actor = null) {
+    const definition = schema.SETTINGS_REGISTRY.find(setting => setting.key === key);
+    await this.transaction(async () => {
+      if (definition) {
+        await this.writeSetting(key, definition.default, definition.data_type, { action: 'reset', actor });
+      } else {
+        await this.removeSetting(key, { action: 'delete', actor });
+      }
+    });
+  }
+
+  /**
+   * Write one setting and record the change in settings_history; callers provide the transaction
+   */
+  async writeSetting(key, value, dataType, { action = 'update', actor = null } = {}) {
+    const previous = await this.get('SELECT * FROM settings WHERE key = ?', [key]);
+    const stored = { value: this.stringifySettingValue(value, dataType), data_type: dataType };
+    await this.run(
+      `INSERT OR REPLACE INTO settings (key, value, data_type) VALUES (?, ?, ?)`,
+      [key, stored.value, stored.data_type]
+    );
+    await this.recordSettingChange(key, action, previous, stored, actor);
+    this.maintenanceCache = null;
+  }
+
+  async removeSetting(key, { action = 'delete', actor = null } = {}) {
+    const previous = await this.get('SELECT * FROM settings WHERE key = ?', [key]);
+    if (!previous) throw boom.notFound(`Setting with key ${key} not found`);
+    await this.run('DELETE FROM settings WHERE key = ?', [key]);
+    await this.recordSettingChange(key, action, previous, null, actor);
+    this.maintenanceCache = null;
+  }
+
+  async recordSettingChange(key, action, previous, current, actor) {
+    await this.run(
+      `INSERT INTO settings_history (key, action, old_value, old_data_type, new_value, new_data_type, actor_id, actor_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        key,
+        action,
+        previous?.value ?? null,
+        previous?.data_type ?? null,
+        current?.value ?? null,
+        current?.data_type ?? null,
+        actor?.id ?? null,
+        actor?.name ?? null
+      ]
+    );
+  }
+
+  async assertSettingsLimit() {
+    const maxKeys = config.get('validation.maxSettingsKeys');
+    const { count } = await this.get('SELECT COUNT(*) AS count FROM settings');
+    if (count > maxKeys) {
+      throw boom.badRequest(`No more than ${maxKeys} settings can be stored`);
+    }
+  }
+
+  /**
+   * Whether the maintenance_mode setting is on, cached for maintenance.cacheTtlMs
+   */
+  async getMaintenanceMode() {
+    const now = Date.now();
+    if (this.maintenanceCache && this.maintenanceCache.expiresAt > now) {
+      return this.maintenanceCache.enabled;
+    }
+
+    const setting = await this.get('SELECT * FROM settings WHERE key = ?', ['maintenance_mode']);
+    const enabled = setting ? this.parseSetting(setting).value === true : false;
+    this.maintenanceCache = { enabled, expiresAt: now + config.get('maintenance.cacheTtlMs') };
+    return enabled;
+  }
+
+  /**
+   * Whether the enable_image_generation setting allows new images; on when the setting is missing
+   */
+  async isImageGenerationEnabled() {
+    const setting = await this.get('SELECT * FROM settings WHERE key = ?', ['enable_image_generation']);
+    return setting ? this.parseSetting(setting).value === true : true;
+  }
+
+  // Generation usage
+  /**
+   * Limits from the max_generations_per_session and rate_limit_per_minute settings, read on every call
+   * A missing or non-positive setting means no limit (null)
+   */
+  async getGenerationLimits() {
+    const rows = await this.query(
+      `SELECT * FROM settings WHERE key IN ('max_generations_per_session', 'rate_limit_per_minute')`
+    );
+    const values = Object.fromEntries(rows.map(row => [row.key, this.parseSetting(row).value]));
+    const limit = (value) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : null);
+    return {
+      perSession: limit(values.max_generations_per_session),
+      perMinute: limit(values.rate_limit_per_minute)
+    };
+  }
+
+  /**
+   * Count one generation for a client unless that would take it over a limit
+   * The per-minute window is kept on the client's own row and the session total on its session row,
+   * which is the client row when no session is given. Sessions expire after quotas.sessionTtlSeconds.
+   * @param {object} client - { key, type, sessionKey } with type one of schema.GENERATION_CLIENT_TYPES
+   * @returns {object} { allowed, limits, usage, session } with the counters after this request
+   */
+  async consumeGenerationQuota(client) {
+    const limits = await this.getGenerationLimits();
+    const sessionKey = client.sessionKey || client.key;
+    const sessionTtl = `-${config.get('quotas.sessionTtlSeconds')} seconds`;
+
+    return this.transaction(async () => {
+      const insert = 'INSERT INTO generation_usage (client_key, client_type, session_started_at) VALUES (?, ?, CURRENT_TIMESTAMP) ON CONFLICT(client_key) DO NOTHING';
+      await this.run(insert, [client.key, client.type]);
+      if (sessionKey !== client.key) await this.run(insert, [sessionKey, 'session']);
+
+      await this.run(
+        `UPDATE generation_usage SET window_count = 0, window_started_at = CURRENT_TIMESTAMP
+         WHERE client_key = ? AND window_started_at <= datetime('now', '-${GENERATION_WINDOW_SECONDS} seconds')`,
+        [client.key]
+      );
+      await this.run(
+        `UPDATE generation_usage SET total = 0, session_started_at = CURRENT_TIMESTAMP
+         WHERE client_key = ? AND session_started_at <= datetime('now', ?)`,
+        [sessionKey, sessionTtl]
+      );
+
+      const usage = await this.getGenerationUsageByKey(client.key);
+      const session = await this.getGenerationUsageByKey(sessionKey);
+      const allowed = (limits.perMinute === null || usage.window_count < limits.perMinute)
+        && (limits.perSession === null || session.total < limits.perSession);
+      if (!allowed) return { allowed, limits, usage, session };
+
+      await this.run(
+        'UPDATE generation_usage SET window_count = window_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE client_key = ?',
+        [client.key]
+      );
+      await this.run(
+        'UPDATE generation_usage SET total = total + 1, last_used_at = CURRENT_TIMESTAMP WHERE client_key = ?',
+        [sessionKey]
+      );
+      return {
+        allowed,
+        limits,
+        usage: await this.getGenerationUsageByKey(client.key),
+        session: await this.getGenerationUsageByKey(sessionKey)
+      };
+    });
+  }
+
+  /**
+   * Give back a generation counted by consumeGenerationQuota that did not complete
+   */
+  async refundGenerationQuota(client) {
+    await this.transaction(async () => {
+      await this.run('UPDATE generation_usage SET window_count = MAX(window_count - 1, 0) WHERE client_key = ?', [client.key]);
+      await this.run('UPDATE generation_usage SET total = MAX(total - 1, 0) WHERE client_key = ?', [client.sessionKey || client.key]);
+    });
+  }
+
+  async getGenerationUsage() {
+    const rows = await this.query('SELECT * FROM generation_usage ORDER BY last_used_at DESC, client_key ASC');
+    return rows.map(row => this.parseGenerationUsage(row));
+  }
+
+  async getGenerationUsageByKey(clientKey) {
+    const row = await this.get('SELECT * FROM generation_usage WHERE client_key = ?', [clientKey]);
+    if (!row) throw boom.notFound(`No generation usage recorded for ${clientKey}`);
+    return this.parseGenerationUsage(row);
+  }
+
+  /**
+   * Forget the counters of one client, or of every client when no key is given
+   * @returns {object} { deleted } number of clients reset
+   */
+  async resetGenerationUsage(clientKey = null) {
+    if (clientKey) await this.getGenerationUsageByKey(clientKey);
+    const result = clientKey
+      ? await this.run('DELETE FROM generation_usage WHERE client_key = ?', [clientKey])
+      : await this.run('DELETE FROM generation_usage');
+    return { deleted: result.changes };
+  }
+
+  // Settings history
+  /**
+   * Settings changes, newest first
+   * @param {object} filters - key, action, actor (actor_id), from and to (SQLite timestamps), limit
+   */
+  async getSettingsHistory(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.key) { conditions.push('key = ?'); params.push(filters.key); }
+    if (filters.action) { conditions.push('action = ?'); params.push(filters.action); }
+    if (filters.actor) { conditions.push('actor_id = ?'); params.push(filters.actor); }
+    if (filters.from) { conditions.push('changed_at >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('changed_at <= ?'); params.push(filters.to); }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.query(
+      `SELECT * FROM settings_history ${where} ORDER BY changed_at DESC, id DESC LIMIT ?`,
+      [...params, filters.limit ?? config.get('validation.defaultPageSize')]
+    );
+    return rows.map(row => this.parseSettingsHistory(row));
+  }
+
+  /**
+   * Put every setting changed after `at` back to the value it had then; settings created
+   * after `at` are removed. Each restore is itself recorded, so a rollback can be rolled back.
+   * @param {string} at - SQLite timestamp (UTC, 'YYYY-MM-DD HH:MM:SS.SSS')
+   * @returns {string[]} Keys whose value changed
+   */
+  async rollbackSettings(at, actor = null) {
+    return this.transaction(async () => {
+      // The first change to a key after `at` holds, as its old value, the key's value at `at`
+      const changes = await this.query(
+        `SELECT * FROM settings_history AS change WHERE id = (
+           SELECT id FROM settings_history WHERE key = change.key AND changed_at > ? ORDER BY changed_at, id LIMIT 1
+         ) ORDER BY key`,
+        [at]
+      );
+
+      const restored = [];
+      for (const change of changes) {
+        const current = await this.get('SELECT * FROM settings WHERE key = ?', [change.key]);
+        if (change.old_value === null) {
+          if (!current) continue;
+          await this.removeSetting(change.key, { action: 'rollback', actor });
+        } else {
+          if (current && current.value === change.old_value && current.data_type === change.old_data_type) continue;
+          const { value } = this.parseSetting({ value: change.old_value, data_type: change.old_data_type });
+          await this.writeSetting(change.key, value, change.old_data_type, { action: 'rollback', actor });
+        }
+        restored.push(change.key);
+      }
+
+      await this.assertSettingsLimit();
+      return restored;
+    });
+  }
+
+  // Utility methods
+  /**
+   * Run work inside a transaction, rolling back if it throws
+   */
+  async transaction(work) {
+    // Work that is already part of a transaction joins it instead of opening another
+    if (this.transactionScope.getStore()) return work();
+
+    while (this.activeTransaction) await this.activeTransaction;
+    let finish;
+    this.activeTransaction = new Promise(resolve => { finish = resolve; });
+
+    try {
+      if (this.pendingStatements > 0) {
+        await new Promise(resolve => { this.statementsDrained = resolve; });
+      }
+
+      return await this.transactionScope.run(true, async () => {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.activeTransaction = null;
+      this.statementsDrained = null;
+      finish();
+    }
+  }
+
+  /**
+   * Execute a statement on the shared connection; statements from outside the running
+   * transaction wait for it to finish so they are neither part of it nor lost on rollback
+   */
+  async statement(execute) {
+    if (this.transactionScope.getStore()) return execute();
+
+    while (this.activeTransaction) await this.activeTransaction;
+    this.pendingStatements++;
+    try {
+      return await execute();
+    } finally {
+      this.pendingStatements--;
+      if (this.pendingStatements === 0 && this.statementsDrained) this.statementsDrained();
+    }
+  }
+
+  generateId(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  parseParameters(parameters) {
+    return parameters.map(param => ({
+      ...param,
+      required: Boolean(param.required),
+      parameter_values: param.parameter_values ? JSON.parse(param.parameter_values) : null,
+      parameter_config: param.parameter_config ? JSON.parse(param.parameter_config) : null,
+      created_at: new Date(param.created_at)
+    }));
+  }
+
+  parseGenerationJob(job) {
+    return {
+      ...job,
+      request_data: JSON.parse(job.request_data),
+      content_url: job.content_id ? `/api/content/${job.content_id}` : null,
+      created_at: new Date(job.created_at),
+      started_at: job.started_at ? new Date(job.started_at) : null,
+      completed_at: job.completed_at ? new Date(job.completed_at) : null
+    };
+  }
+
+  parseGenerationUsage(usage) {
+    const windowStartedAt = parseTimestamp(usage.window_started_at);
+    const sessionStartedAt = parseTimestamp(usage.session_started_at || usage.created_at);
+    return {
+      ...usage,
+      window_started_at: windowStartedAt,
+      window_resets_at: new Date(windowStartedAt.getTime() + GENERATION_WINDOW_SECONDS * 1000),
+      session_started_at: sessionStartedAt,
+      session_expires_at: new Date(sessionStartedAt.getTime() + config.get('quotas.sessionTtlSeconds') * 1000),
+      last_used_at: usage.last_used_at ? parseTimestamp(usage.last_used_at) : null,
+      created_at: parseTimestamp(usage.created_at)
+    };
+  }
+
+  parseSettingsHistory(entry) {
+    const typedValue = (value, dataType) => (value === null ? null : this.parseSetting({ value, data_type: dataType }).value);
+    return {
+      ...entry,
+      old_value: typedValue(entry.old_value, entry.old_data_type),
+      new_value: typedValue(entry.new_value, entry.new_data_type),
+      changed_at: parseTimestamp(entry.changed_at)
+    };
+  }
+
+  parsePromptTemplate(template) {
+    return {
+      ...template,
+      is_active: Boolean(template.is_active),
+      created_at: new Date(template.created_at)
+    };
+  }
+
+  parseApiKey(key) {
+    return {
+      ...key,
+      last_used_at: key.last_used_at ? new Date(key.last_used_at) : null,
+      revoked_at: key.revoked_at ? new Date(key.revoked_at) : null,
+      created_at: new Date(key.created_at)
+    };
+  }
+
+  parseSetting(setting) {
     let value = setting.value;
     switch (setting.data_type) {
       case 'number': value = Number(setting.value); break;
@@ -509,84 +2246,228 @@ class DataService {
 }
 
 /**
- * AI Service - Handles OpenAI API interactions
+ * AI Service - Builds prompts and drives the configured text and image providers
  */
 class AIService {
   constructor() {
-    this.apiKey = config.get('ai.openai.apiKey');
-    this.baseUrl = config.get('ai.openai.baseUrl');
-    this.isConfigured = Boolean(this.apiKey);
+    this.textProvider = createTextProvider(config.getAIConfig('fiction').providerConfig);
+    this.imageProvider = createImageProvider(config.getAIConfig('image').providerConfig);
   }
 
-  async generate(parameters, year = null) {
-    if (!this.isConfigured) {
-      throw boom.internal('OpenAI API key not configured');
-    }
+  get isConfigured() {
+    return this.textProvider.isConfigured && this.imageProvider.isConfigured;
+  }
+
+  /**
+   * Generate a story and, unless options.includeImage is false, its image
+   * @param {object} options.onProgress - Called with each stage name ('fiction', 'image', 'thumbnail') as it starts
+   */
+  async generate(parameters, year = null, options = {}) {
+    this.assertConfigured(options);
+    return this.generateCombined(parameters, year, options);
+  }
 
-    return this.generateCombined(parameters, year);
+  assertConfigured({ includeImage = true } = {}) {
+    if (!this.textProvider.isConfigured) {
+      throw boom.internal(`AI provider "${this.textProvider.name}" for fiction is not configured`);
+    }
+    if (includeImage && !this.imageProvider.isConfigured) {
+      throw boom.internal(`AI provider "${this.imageProvider.name}" for images is not configured`);
+    }
   }
 
   async generateFiction(parameters, year) {
-    const aiConfig = config.getAIConfig('fiction');
-    const prompt = this.buildFictionPrompt(parameters, year);
-    
+    const promptContext = await this.loadPromptContext(parameters, year);
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: aiConfig.model,
-          messages: [
-            { role: 'system', content: aiConfig.parameters.systemPrompt },
-            { role: 'user', content: prompt }
-          ],
-          temperature: aiConfig.parameters.temperature,
-          max_tokens: aiConfig.parameters.maxTokens
-        },
-        { headers: { Authorization: `Bearer ${this.apiKey}` } }
-      );
+      const completion = await this.textProvider.complete(this.buildFictionRequest(parameters, year, promptContext));
+      return this.buildFictionResult(completion.content, {
+        provider: this.textProvider.name,
+        model: completion.model,
+        tokens: completion.tokens
+      }, this.describePromptTemplates(promptContext, ['fiction_system', 'fiction_prompt']));
+    } catch (error) {
+      throw boom.internal('Fiction generation failed', error);
+    }
+  }
 
-      const content = response.data.choices[0].message.content;
-      const title = this.extractTitle(content);
-      const wordCount = content.split(/\s+/).length;
+  /**
+   * Generate fiction with a streamed completion
+   * @param {function} onToken - Called with each text fragment as it arrives
+   */
+  async streamFiction(parameters, year, onToken) {
+    this.assertConfigured();
+    const promptContext = await this.loadPromptContext(parameters, year);
 
-      return {
-        success: true,
-        title,
-        content,
-        type: 'fiction',
-        wordCount,
-        metadata: {
-          model: response.data.model,
-          tokens: response.data.usage.total_tokens
-        }
-      };
+    let completion;
+    try {
+      completion = await this.textProvider.stream(this.buildFictionRequest(parameters, year, promptContext), onToken);
     } catch (error) {
       throw boom.internal('Fiction generation failed', error);
     }
+
+    if (!completion.content) {
+      throw boom.internal('Fiction generation returned no content');
+    }
+
+    return this.buildFictionResult(completion.content, {
+      provider: this.textProvider.name,
+      model: completion.model,
+      tokens: completion.tokens,
+      streamed: true
+    }, this.describePromptTemplates(promptContext, ['fiction_system', 'fiction_prompt']));
+  }
+
+  /**
+   * Build the chat request from category overrides, then active prompt templates, then the built-in wording
+   */
+  buildFictionRequest(parameters, year, promptContext = { templates: {}, values: {}, overrides: {} }) {
+    const aiConfig = config.getAIConfig('fiction');
+    const { templates, values, overrides } = promptContext;
+    const storyLength = overrides.storyLength ?? aiConfig.parameters.defaultStoryLength;
+
+    let systemPrompt = aiConfig.parameters.systemPrompt;
+    if (overrides.systemPrompt) {
+      systemPrompt = this.renderPromptTemplate(overrides.systemPrompt, values);
+    } else if (templates.fiction_system) {
+      systemPrompt = this.renderPromptTemplate(templates.fiction_system.body, values);
+    }
+
+    return {
+      model: aiConfig.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
+          content: templates.fiction_prompt
+            ? this.renderPromptTemplate(templates.fiction_prompt.body, values)
+            : this.buildFictionPrompt(parameters, year, storyLength)
+        }
+      ],
+      temperature: overrides.temperature ?? aiConfig.parameters.temperature,
+      // Roughly two tokens per word leaves room for longer category lengths
+      maxTokens: Math.max(aiConfig.parameters.maxTokens, storyLength * 2)
+    };
   }
 
-  async generateImage(year, generatedText = null) {
+  buildFictionResult(content, metadata, promptTemplates = {}) {
+    return {
+      success: true,
+      title: this.extractTitle(content),
+      content,
+      type: 'fiction',
+      wordCount: content.split(/\s+/).length,
+      promptTemplates,
+      metadata
+    };
+  }
+
+  /**
+   * Load the active prompt templates, the values their placeholders render to
+   * and the overrides of the categories referenced by the parameters
+   */
+  async loadPromptContext(parameters, year) {
+    const categoryIds = Object.keys(parameters || {});
+    const [templates, categories] = await Promise.all([
+      dataService.getActivePromptTemplates(),
+      dataService.getCategoriesByIds(categoryIds)
+    ]);
+
+    const values = {};
+    Object.values(parameters || {}).forEach(categoryParams => {
+      if (typeof categoryParams === 'object') {
+        Object.entries(categoryParams).forEach(([param, value]) => {
+          if (value !== null && value !== undefined) values[param] = String(value);
+        });
+      }
+    });
+    values.year = year ? String(year) : '';
+    values.categories = categories.map(category => category.name).join(', ');
+    values.parameters = this.formatParameterLines(parameters || {});
+
+    const overrides = this.resolveCategoryOverrides(categories);
+    values.story_length = String(overrides.storyLength ?? config.getAIConfig('fiction').parameters.defaultStoryLength);
+
+    // A category's own prompt or style replaces the global template of the same kind
+    const activeTemplates = { ...templates };
+    if (overrides.systemPrompt) delete activeTemplates.fiction_system;
+    if (overrides.imageStyle) delete activeTemplates.image_suffix;
+
+    return { templates: activeTemplates, values, overrides };
+  }
+
+  /**
+   * First value set on the referenced categories, in category sort order
+   */
+  resolveCategoryOverrides(categories) {
+    const firstSet = (field) => {
+      const category = categories.find(c => c[field] !== null && c[field] !== undefined && c[field] !== '');
+      return category ? category[field] : null;
+    };
+
+    return {
+      systemPrompt: firstSet('system_prompt'),
+      imageStyle: firstSet('image_style'),
+      temperature: firstSet('temperature'),
+      storyLength: firstSet('story_length')
+    };
+  }
+
+  /**
+   * Replace {{placeholder}} markers; unknown placeholders render empty
+   */
+  renderPromptTemplate(body, values) {
+    return body.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, key) => values[key] ?? '');
+  }
+
+  /**
+   * Id and version of each active template used, for generated content metadata
+   */
+  describePromptTemplates(promptContext, names) {
+    const used = {};
+    names.forEach(name => {
+      const template = promptContext.templates[name];
+      if (template) used[name] = { id: template.id, version: template.version };
+    });
+    return used;
+  }
+
+  resolveImageSuffix(promptContext) {
+    const { templates, values, overrides } = promptContext;
+    if (overrides.imageStyle) return this.renderPromptTemplate(overrides.imageStyle, values);
+    if (templates.image_suffix) return this.renderPromptTemplate(templates.image_suffix.body, values);
+    return config.getAIConfig('image').parameters.promptSuffix;
+  }
+
+  /**
+   * @param {object} options.parameters - Story parameters, used for category styles and the image_suffix template
+   * @param {string} options.style - Extra style hint added after the suffix
+   */
+  async generateImage(year, generatedText = null, options = {}) {
     const aiConfig = config.getAIConfig('image');
-    const prompt = this.buildImagePrompt(year, generatedText);
+    const promptContext = await this.loadPromptContext(options.parameters, year);
+    const suffix = [this.resolveImageSuffix(promptContext), options.style].filter(Boolean).join(' ');
+    const prompt = this.buildImagePrompt(year, generatedText, suffix);
+    const promptTemplates = this.describePromptTemplates(promptContext, ['image_suffix']);
+    const metadata = {
+      provider: this.imageProvider.name,
+      model: aiConfig.model,
+      prompt: prompt.substring(0, 100) + '...',
+      ...(options.style && { style: options.style })
+    };
     
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/images/generations`,
-        {
-          model: aiConfig.model,
-          prompt: prompt.substring(0, 4000),
-          size: aiConfig.parameters.size,
-          quality: aiConfig.parameters.quality,
-          n: 1
-        },
-        { headers: { Authorization: `Bearer ${this.apiKey}` } }
-      );
-
-      const imageUrl = response.data.data[0].url;
+      const image = await this.imageProvider.generate({
+        model: aiConfig.model,
+        prompt: prompt.substring(0, 4000),
+        size: aiConfig.parameters.size,
+        quality: aiConfig.parameters.quality
+      });
       
       // Download and process the image if Sharp is available
       if (sharp) {
-        const imageData = await this.downloadAndProcessImage(imageUrl);
+        if (options.onProgress) await options.onProgress('thumbnail');
+        const originalBuffer = image.buffer || await this.downloadImage(image.url);
+        const imageData = await this.processImage(originalBuffer);
         return {
           success: true,
           imageBlob: imageData.original,
@@ -595,24 +2476,37 @@ class AIService {
           imageSizeBytes: imageData.originalSize,
           thumbnailSizeBytes: imageData.thumbnailSize,
           imagePrompt: prompt.substring(0, 100) + '...',
+          promptTemplates,
           type: 'image',
           metadata: {
-            model: aiConfig.model,
-            prompt: prompt.substring(0, 100) + '...',
+            ...metadata,
             originalSize: imageData.originalSize,
             thumbnailSize: imageData.thumbnailSize
           }
         };
-      } else {
+      } else if (image.url) {
         // Fallback to URL mode when Sharp is not available
         return {
           success: true,
-          imageUrl: imageUrl, // Keep for backward compatibility
+          imageUrl: image.url, // Keep for backward compatibility
+          imagePrompt: prompt.substring(0, 100) + '...',
+          promptTemplates,
+          type: 'image',
+          metadata
+        };
+      } else {
+        // Providers that return image bytes are stored unprocessed
+        return {
+          success: true,
+          imageBlob: image.buffer,
+          imageFormat: 'png',
+          imageSizeBytes: image.buffer.length,
           imagePrompt: prompt.substring(0, 100) + '...',
+          promptTemplates,
           type: 'image',
           metadata: {
-            model: aiConfig.model,
-            prompt: prompt.substring(0, 100) + '...'
+            ...metadata,
+            originalSize: image.buffer.length
           }
         };
       }
@@ -621,25 +2515,79 @@ class AIService {
     }
   }
 
-  async generateCombined(parameters, year) {
+  /**
+   * Regenerate the story ('text'), the image ('image') or both for a stored content item
+   * The part that is not regenerated is carried over from the item unchanged
+   */
+  async regenerate(content, mode, parameters = content.prompt_data, year = content.year, options = {}) {
+    this.assertConfigured({ includeImage: mode !== 'text' && options.includeImage !== false });
+    if (mode === 'both') {
+      return this.generateCombined(parameters, year, options);
+    }
+
+    const carriedTemplates = (names) => Object.fromEntries(
+      Object.entries(content.metadata?.prompt_templates || {}).filter(([name]) => names.includes(name))
+    );
+
+    if (mode === 'text') {
+      const fictionResult = await this.generateFiction(parameters, year);
+      return this.combineResults(fictionResult, {
+        imageBlob: content.image_blob,
+        imageThumbnail: content.image_thumbnail,
+        imageFormat: content.image_format,
+        imageSizeBytes: content.image_size_bytes,
+        thumbnailSizeBytes: content.thumbnail_size_bytes,
+        metadata: content.metadata?.image,
+        promptTemplates: carriedTemplates(['image_suffix'])
+      });
+    }
+
+    const imageResult = await this.generateImage(year, content.fiction_content, { parameters });
+    return this.combineResults({
+      title: content.title,
+      content: content.fiction_content,
+      wordCount: content.fiction_content.split(/\s+/).length,
+      metadata: content.metadata?.fiction,
+      promptTemplates: carriedTemplates(['fiction_system', 'fiction_prompt'])
+    }, imageResult);
+  }
+
+  async generateCombined(parameters, year, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+
+    await reportProgress('fiction');
     const fictionResult = await this.generateFiction(parameters, year);
     if (!fictionResult.success) return fictionResult;
+    if (options.includeImage === false) return this.combineResults(fictionResult);
 
-    const imageResult = await this.generateImage(year, fictionResult.content);
+    await reportProgress('image');
+    const imageResult = await this.generateImage(year, fictionResult.content, { ...options, parameters });
     if (!imageResult.success) return imageResult;
 
+    return this.combineResults(fictionResult, imageResult);
+  }
+
+  /**
+   * @param {object} imageResult - Left out for text-only stories, which are saved without an image
+   */
+  combineResults(fictionResult, imageResult = null) {
     // Handle both BLOB and URL responses
     const result = {
       success: true,
       title: fictionResult.title,
       content: fictionResult.content,
-      imagePrompt: imageResult.imagePrompt,
+      imagePrompt: imageResult?.imagePrompt,
       wordCount: fictionResult.wordCount,
       metadata: {
         fiction: fictionResult.metadata,
-        image: imageResult.metadata
+        image: imageResult?.metadata,
+        prompt_templates: {
+          ...fictionResult.promptTemplates,
+          ...imageResult?.promptTemplates
+        }
       }
     };
+    if (!imageResult) return result;
 
     // Add BLOB data if available (Sharp working)
     if (imageResult.imageBlob) {
@@ -656,27 +2604,32 @@ class AIService {
     return result;
   }
 
-  buildFictionPrompt(parameters, year) {
+  buildFictionPrompt(parameters, year, storyLength = null) {
     let prompt = 'Create a compelling speculative fiction story with the following elements:\n\n';
     
     if (year) prompt += `Setting: Year ${year}\n`;
+    prompt += this.formatParameterLines(parameters);
+    if (storyLength) prompt += `Length: about ${storyLength} words\n`;
     
+    prompt += '\nWrite a story that incorporates these elements naturally. Include a compelling title.';
+    return prompt;
+  }
+
+  formatParameterLines(parameters) {
+    let lines = '';
     Object.entries(parameters).forEach(([, categoryParams]) => {
       if (typeof categoryParams === 'object') {
         Object.entries(categoryParams).forEach(([param, value]) => {
           if (value !== null && value !== undefined) {
-            prompt += `${param.replace(/-/g, ' ')}: ${value}\n`;
+            lines += `${param.replace(/-/g, ' ')}: ${value}\n`;
           }
         });
       }
     });
-    
-    prompt += '\nWrite a story that incorporates these elements naturally. Include a compelling title.';
-    return prompt;
+    return lines;
   }
 
-  buildImagePrompt(year, generatedText) {
-    const aiConfig = config.getAIConfig('image');
+  buildImagePrompt(year, generatedText, suffix = config.getAIConfig('image').parameters.promptSuffix) {
     let prompt = 'Create a beautiful, detailed image';
     
     if (generatedText) {
@@ -687,7 +2640,7 @@ class AIService {
     }
     
     if (year) prompt += ` Set in year ${year}.`;
-    prompt += ` ${aiConfig.parameters.promptSuffix}`;
+    prompt += ` ${suffix}`;
     
     return prompt;
   }
@@ -711,12 +2664,17 @@ class AIService {
     return [...new Set(elements)].slice(0, 5);
   }
 
-  async downloadAndProcessImage(imageUrl) {
+  async downloadImage(imageUrl) {
     try {
-      // Download the image from DALL-E URL
       const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-      const originalBuffer = Buffer.from(response.data);
-      
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw boom.internal('Failed to download image', error);
+    }
+  }
+
+  async processImage(originalBuffer) {
+    try {
       // Process with Sharp to generate thumbnail
       const thumbnailBuffer = await sharp(originalBuffer)
         .resize(150, 150, { fit: 'cover' })
@@ -736,7 +2694,7 @@ class AIService {
         thumbnailSize: thumbnailBuffer.length
       };
     } catch (error) {
-      throw boom.internal('Failed to download and process image', error);
+      throw boom.internal('Failed to process image', error);
     }
   }
 
@@ -753,7 +2711,308 @@ class AIService {
   }
 }
 
+/**
+ * Image Service - Resizes and re-encodes stored images on request
+ * Renditions are cached in image_renditions and dropped whenever the image is replaced
+ */
+class ImageService {
+  get isAvailable() {
+    return sharp !== null;
+  }
+
+  /**
+   * Choose the output format: an explicit format wins, otherwise the first configured
+   * format the Accept header lists, otherwise the stored format
+   */
+  negotiateFormat(format, accept, storedFormat = 'png') {
+    if (format) return format;
+    const accepted = (accept || '').split(',').map(type => type.split(';')[0].trim().toLowerCase());
+    const formats = config.get('images.renditions.formats');
+    return formats.find(candidate => accepted.includes(this.mimeType(candidate))) || storedFormat;
+  }
+
+  mimeType(format) {
+    return `image/${format}`;
+  }
+
+  /**
+   * Return the stored image resized and encoded as requested
+   * @param {object} spec - width, height, fit and format; width and height may be omitted
+   * @returns {object} { buffer, format, cached }
+   */
+  async getRendition(content, spec) {
+    const cached = await dataService.getImageRendition(content.id, spec);
+    if (cached) return { buffer: cached.image_blob, format: cached.format, cached: true };
+
+    if (!this.isAvailable) {
+      throw boom.notImplemented('Image resizing is not available on this server');
+    }
+
+    const source = await dataService.loadImage(content, 'original');
+    if (!source) throw boom.notFound('Image not found');
+
+    const quality = config.get('images.renditions.quality')[spec.format];
+    let buffer;
+    try {
+      buffer = await sharp(source)
+        .resize({
+          width: spec.width || null,
+          height: spec.height || null,
+          fit: spec.fit,
+          withoutEnlargement: true
+        })
+        .toFormat(spec.format, quality ? { quality } : {})
+        .toBuffer();
+    } catch (error) {
+      throw boom.internal('Failed to render image', error);
+    }
+
+    await dataService.saveImageRendition(content.id, spec, buffer);
+    return { buffer, format: spec.format, cached: false };
+  }
+
+  /**
+   * Tile the thumbnails of collection members into a PNG, two per row
+   * A single thumbnail is returned as it is, as is the first one when sharp is not installed.
+   * @param {object[]} members - Content rows from dataService.getCollectionCover
+   */
+  async renderCollectionCover(members) {
+    const thumbnails = [];
+    for (const member of members) {
+      const thumbnail = await dataService.loadImage(member, 'thumbnail');
+      if (thumbnail) thumbnails.push(thumbnail);
+    }
+    if (thumbnails.length === 0) throw boom.notFound('Collection has no images');
+    if (thumbnails.length === 1 || !this.isAvailable) return thumbnails[0];
+
+    const { tileSize } = config.get('images.collectionCover');
+    const columns = 2;
+    try {
+      const tiles = await Promise.all(thumbnails.map(thumbnail =>
+        sharp(thumbnail).resize(tileSize, tileSize, { fit: 'cover' }).png().toBuffer()
+      ));
+      return await sharp({
+        create: {
+          width: columns * tileSize,
+          height: Math.ceil(tiles.length / columns) * tileSize,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }
+      })
+        .composite(tiles.map((input, index) => ({
+          input,
+          left: (index % columns) * tileSize,
+          top: Math.floor(index / columns) * tileSize
+        })))
+        .png()
+        .toBuffer();
+    } catch (error) {
+      throw boom.internal('Failed to render collection cover', error);
+    }
+  }
+}
+
+/**
+ * Auth Service - Verifies API keys and HS256 tokens and compares roles
+ */
+class AuthService {
+  /**
+   * Resolve the caller from an X-API-Key header or an Authorization: Bearer API key or token
+   * @returns {object|null} Principal with id, name, role and method, or null when no credentials were sent
+   */
+  async authenticate(headers) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    const credential = headers['x-api-key'] || (bearer && bearer[1].trim());
+    if (!credential) return null;
+
+    if (credential.split('.').length === 3) {
+      const claims = await this.verifyToken(credential);
+      return { id: claims.sub, name: claims.name, role: claims.role, method: 'token' };
+    }
+
+    return this.authenticateApiKey(credential);
+  }
+
+  async authenticateApiKey(apiKey) {
+    const keyHash = this.hashApiKey(apiKey);
+    const bootstrapKey = config.get('security.auth.adminApiKey');
+    if (bootstrapKey && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.hashApiKey(bootstrapKey)))) {
+      return { id: 'bootstrap', name: 'ADMIN_API_KEY', role: 'admin', method: 'api_key' };
+    }
+
+    const key = await dataService.getActiveApiKeyByHash(keyHash);
+    if (!key) throw this.unauthorized('Invalid or revoked API key');
+
+    await dataService.touchApiKey(key.id);
+    return { id: key.id, name: key.name, role: key.role, method: 'api_key' };
+  }
+
+  /**
+   * Create a stored key; the plain key is only ever returned here
+   */
+  async createApiKey(keyData) {
+    const apiKey = `sg_${crypto.randomBytes(24).toString('base64url')}`;
+    const stored = await dataService.createApiKey(keyData, this.hashApiKey(apiKey), apiKey.slice(0, 10));
+    return { ...stored, key: apiKey };
+  }
+
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  hasRole(role, requiredRole) {
+    return schema.API_ROLES.indexOf(role) >= schema.API_ROLES.indexOf(requiredRole);
+  }
+
+  signToken(principal, ttlSeconds = config.get('security.auth.tokenTtlSeconds')) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = this.encodeTokenPart({ alg: 'HS256', typ: 'JWT' });
+    const payload = this.encodeTokenPart({
+      sub: principal.id,
+      name: principal.name,
+      role: principal.role,
+      iat: issuedAt,
+      exp: issuedAt + ttlSeconds
+    });
+    return `${header}.${payload}.${this.signTokenContent(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry, and that the key it was issued for is still active
+   */
+  async verifyToken(token) {
+    const [header, payload, signature] = token.split('.');
+    // Compared as bytes: a signature with multi-byte characters can match in length but not in bytes
+    const expected = Buffer.from(this.signTokenContent(`${header}.${payload}`));
+    const received = Buffer.from(signature);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw this.unauthorized('Invalid token signature');
+    }
+
+    let claims;
+    try {
+      if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+        throw new Error('Unsupported algorithm');
+      }
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+      throw this.unauthorized('Malformed token');
+    }
+
+    if (!schema.API_ROLES.includes(claims.role)) throw this.unauthorized('Malformed token');
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) throw this.unauthorized('Token expired');
+
+    const keyActive = claims.sub === 'bootstrap'
+      ? Boolean(config.get('security.auth.adminApiKey'))
+      : Boolean(await dataService.getActiveApiKeyById(claims.sub));
+    if (!keyActive) throw this.unauthorized('Token key has been revoked');
+    return claims;
+  }
+
+  signTokenContent(content) {
+    const secret = config.get('security.auth.jwtSecret');
+    if (!secret) throw this.unauthorized('Token authentication is not configured');
+    return crypto.createHmac('sha256', secret).update(content).digest('base64url');
+  }
+
+  encodeTokenPart(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  unauthorized(message) {
+    return boom.unauthorized(message, 'Bearer');
+  }
+}
+
+// Progress reported for each stage of a generation job
+const JOB_STAGE_PROGRESS = {
+  fiction: 10,
+  image: 50,
+  thumbnail: 80,
+  saving: 95
+};
+
+/**
+ * Generation Queue - Runs generation jobs in the background
+ * Job state lives in the generation_jobs table; the queue only holds ids
+ */
+class GenerationQueue {
+  constructor() {
+    this.pending = [];
+    this.active = 0;
+    this.concurrency = Math.max(1, config.get('jobs.concurrency') || 1);
+    this.idleWaiters = [];
+    this.failureHandlers = new Map();
+  }
+
+  /**
+   * @param {object} options - includeImage, and onFailure called if the job fails
+   */
+  async enqueue(parameters, year = null, { includeImage = true, onFailure = null } = {}) {
+    const job = await dataService.createGenerationJob({ parameters, year, include_image: includeImage });
+    if (onFailure) this.failureHandlers.set(job.id, onFailure);
+    this.pending.push(job.id);
+    setImmediate(() => this.processNext());
+    return job;
+  }
+
+  processNext() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.active++;
+      this.runJob(jobId).finally(() => {
+        this.active--;
+        this.processNext();
+      });
+    }
+
+    if (this.active === 0 && this.pending.length === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  async runJob(jobId) {
+    const reportProgress = (stage) =>
+      dataService.updateGenerationJobProgress(jobId, stage, JOB_STAGE_PROGRESS[stage]);
+
+    try {
+      const job = await dataService.getGenerationJobById(jobId);
+      const { parameters, year, include_image: includeImage = true } = job.request_data;
+
+      await dataService.startGenerationJob(jobId);
+      const result = await aiService.generate(parameters, year, { onProgress: reportProgress, includeImage });
+      if (!result.success) {
+        throw boom.internal(result.error);
+      }
+
+      await reportProgress('saving');
+      const savedContent = await dataService.saveGenerationResult(result, parameters, year);
+      await dataService.completeGenerationJob(jobId, savedContent.id);
+    } catch (error) {
+      try {
+        await dataService.failGenerationJob(jobId, error.message);
+      } catch (updateError) {
+        console.error(`Failed to record failure of generation job ${jobId}:`, updateError.message);
+      }
+      await this.failureHandlers.get(jobId)?.();
+    } finally {
+      this.failureHandlers.delete(jobId);
+    }
+  }
+
+  /**
+   * Resolve once no jobs are queued or running
+   */
+  whenIdle() {
+    if (this.active === 0 && this.pending.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+}
+
 // Export singleton instances
 export const dataService = new DataService();
 export const aiService = new AIService();
-export default { dataService, aiService };
\ No newline at end of file
+export const generationQueue = new GenerationQueue();
+export const authService = new AuthService();
+export const imageService = new ImageService();
+export default { dataService, aiService, generationQueue, authService, imageService };
\ No newline at end of file
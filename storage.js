@@ -0,0 +1,222 @@
+/**
+ * Image Storage Backends for SpecGen Server
+ * Keeps image bytes out of SQLite; selected by name in config.js storage
+ *
+ * Every backend exposes name, isConfigured and
+ *   put(key, buffer, contentType) - store an object, replacing any with the same key
+ *   get(key)                      - resolve to a Buffer, or null when the key does not exist
+ *   delete(key)                   - remove an object; missing keys are ignored
+ * Keys look like "<content-id>/<uuid>-original.png" and never start with a slash.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Backend that writes images below a directory on the local filesystem
+ */
+export class LocalImageStorage {
+  constructor({ name, type, path: root }) {
+    this.name = name || type;
+    this.root = path.resolve(root);
+  }
+
+  get isConfigured() {
+    return Boolean(this.root);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid image key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename, so readers never see a partial file
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, buffer);
+    await fs.rename(temporary, file);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+/**
+ * Backend for Amazon S3 and S3-compatible servers such as MinIO
+ * Requests are signed with AWS Signature Version 4; set forcePathStyle for MinIO
+ */
+export class S3ImageStorage {
+  constructor({ name, type, endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.name = name || type;
+    this.endpoint = endpoint;
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = Boolean(forcePathStyle);
+  }
+
+  get isConfigured() {
+    return Boolean(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (!this.endpoint) {
+      return new URL(`https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`);
+    }
+
+    const url = new URL(this.endpoint);
+    const basePath = url.pathname.replace(/\/$/, '');
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${this.bucket}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  async request(method, key, { body, contentType } = {}) {
+    if (!this.isConfigured) {
+      throw new Error(`Image storage "${this.name}" is not configured`);
+    }
+
+    const url = this.objectUrl(key);
+    const headers = signS3Request({
+      method,
+      url,
+      headers: contentType ? { 'content-type': contentType } : {},
+      body,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    const response = await axios({
+      method,
+      url: url.toString(),
+      headers,
+      data: body,
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 400 && !(response.status === 404 && method !== 'PUT')) {
+      const detail = Buffer.from(response.data || '').toString('utf8').match(/<Code>([^<]+)<\/Code>/)?.[1];
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+    return response;
+  }
+
+  async put(key, buffer, contentType = 'application/octet-stream') {
+    await this.request('PUT', key, { body: buffer, contentType });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return response.status === 404 ? null : Buffer.from(response.data);
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * Signs every given header plus host, x-amz-content-sha256 and x-amz-date
+ * @param {URL} options.url - Request URL with the object key already percent-encoded
+ * @returns {object} Headers to send, including authorization
+ */
+export function signS3Request({ method, url, headers = {}, body = '', region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signed).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const signingKey = hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+const STORAGE_BACKENDS = {
+  'local': LocalImageStorage,
+  's3': S3ImageStorage
+};
+
+/**
+ * Create the backend for a storage configuration from config.js storage.backends
+ */
+export function createImageStorage(storageConfig) {
+  const Backend = STORAGE_BACKENDS[storageConfig.type];
+  if (!Backend) {
+    throw new Error(`Unknown image storage type: ${storageConfig.type}`);
+  }
+  return new Backend(storageConfig);
+}
+
+export default {
+  createImageStorage,
+  signS3Request
+};